@@ -1,60 +1,273 @@
 #!/usr/bin/env node
 
 const { program } = require("commander");
-const axios = require("axios");
 const { install } = require("../src/install");
-const { uninstallJava, uninstallTomcat,  removePreviousVersionsFile } = require("../src/uninstall");
+const { fullUninstall } = require("../src/uninstall");
 const { upgrade } = require("../src/upgrade");
 const { rollback } = require("../src/rollback");
+const { history } = require("../src/history");
+const { status } = require("../src/status");
+const { list, use } = require("../src/versions");
+const { listBackupsCommand } = require("../src/backups");
+const { validateCommand, migrateCommand } = require("../src/config");
+const { configureExecutor, setDryRun, isDryRun, printPlan } = require("../src/executor");
+const paths = require("../src/paths");
+const logger = require("../src/logger");
+const { configureCache, prefetchArtifacts } = require("../src/cache");
+const { configureDownloads } = require("../src/download");
+const { guardInterrupted, recoverCommand } = require("../src/recovery");
+const { acquireLock, releaseLock } = require("../src/lock");
+const { daemon } = require("../src/daemon");
+const { loadCachedManifest } = require("../src/manifest");
+const { serve } = require("../src/api");
+const { interactive, confirmDestructive, UNINSTALL_WARNING } = require("../src/interactive");
+const { ConfigError, errorSummary } = require("../src/errors");
+const { configurePlatform } = require("../src/platform");
 
- 
+program
+  .option("--dry-run", "Print the ordered plan of changes without executing any of them")
+  .option("--output <format>", "Output format for the dry-run plan: text or json", "text")
+  .option("--root <dir>", "Filesystem root that /opt, /etc and backups are relocated under")
+  .option("--prefix <dir>", "Install prefix for JDK/Tomcat directories and backups (default: /opt)")
+  .option("--no-sudo", "Run commands without sudo")
+  .option("--cache <dir>", "Artifact cache directory (default: /var/cache/java-manager)")
+  .option("--offline", "Never download; take archives from the cache, file:// URLs or the mirror")
+  .option("--unattended", "Resume or revert an interrupted operation automatically instead of stopping (for the daemon)")
+  .option("-i, --interactive", "Guided mode: pick versions, preview the plan and confirm (the default without a command)")
+  .option("-y, --yes", "Answer yes to confirmations of destructive steps, for scripts and cron")
+  .option("-v, --verbose", "Also log every executed command with its duration")
+  .option("-q, --quiet", "Only log warnings and errors")
+  .option("--log-format <format>", "Log line format: text or json")
+  .option("--log-file <path>", "Also append JSON log lines to this file")
+  .option("--package-manager <name>", "Package manager to use instead of the detected one: dnf, yum, apt or zypper");
+
+// Commands that change the host; they must not run on top of an interrupted operation
+const MUTATING_COMMANDS = ["install", "upgrade", "rollback", "uninstall", "use"];
+
+let commandName = null;
+
+/**
+ * Reports a failed command and exits with the exit code of its error class
+ * (see src/errors.js and README.md). After the log message, one JSON line
+ * goes to stderr for cron, systemd units and monitoring:
+ *
+ *   {"status":"failed","code":"download","exitCode":11,"message":"...","command":"upgrade","runId":"1f2e3d4c"}
+ *
+ * `status` is "nothing-to-do" (exit code 2) when the requested versions are already installed.
+ */
+function fail(error, actionName) {
+  const summary = {
+    ...errorSummary(error),
+    command: commandName,
+    runId: logger.getRunId(),
+  };
+  summary.message = logger.redact(summary.message);
+  if (summary.status === "nothing-to-do") {
+    logger.log("info", `ℹ️ ${actionName || commandName}: nothing to do.`, { summary });
+  } else {
+    logger.log("error", `${actionName || commandName} failed: ${summary.message}`, { summary });
+  }
+  process.stderr.write(`${JSON.stringify(summary)}\n`);
+  process.exit(summary.exitCode);
+}
+
+program.hook("preAction", async (thisCommand, actionCommand) => {
+  const { dryRun, output, root, prefix, sudo, cache, offline, unattended, verbose, quiet, logFormat, logFile, packageManager } =
+    program.opts();
+  commandName = actionCommand === program ? "interactive" : actionCommand.name();
+  try {
+    logger.configureLogger({ verbose, quiet, format: logFormat, file: logFile });
+  } catch (error) {
+    fail(new ConfigError(error.message, { cause: error }));
+  }
+  const started = Date.now();
+  logger.log("debug", `▶️ java-manager ${process.argv.slice(2).join(" ")}`, { argv: logger.redact(process.argv.slice(2).join(" ")) });
+  process.on("exit", (code) => {
+    logger.log("debug", `⏹️ Finished in ${Date.now() - started} ms with exit code ${code}`, {
+      durationMs: Date.now() - started,
+      exitCode: code,
+    });
+  });
+  setDryRun(dryRun);
+  paths.configurePaths({ root, prefix, cache });
+  configureCache({ offline });
+  configureDownloads();
+  try {
+    configurePlatform({ packageManager });
+  } catch (error) {
+    fail(error);
+  }
+  loadCachedManifest();
+  // A relocated root is a scratch tree: no sudo, and leave services, users and packages alone
+  configureExecutor({
+    useSudo: sudo && !paths.isRelocatedRoot(),
+    systemActions: !paths.isRelocatedRoot(),
+  });
+  if (output === "json") {
+    // Keep stdout clean for the JSON plan; progress messages go to stderr
+    console.log = console.error;
+  }
+
+  if (!dryRun && (MUTATING_COMMANDS.includes(actionCommand.name()) || actionCommand.name() === "recover")) {
+    try {
+      // Hold the run lock until exit so the daemon or a second shell cannot interleave
+      acquireLock(actionCommand.name());
+      process.on("exit", releaseLock);
+      if (actionCommand.name() !== "recover") {
+        await guardInterrupted({ unattended });
+      }
+    } catch (error) {
+      fail(error);
+    }
+  }
+});
+
+function reportPlan() {
+  if (isDryRun()) {
+    printPlan(program.opts().output);
+  }
+}
 
 async function safeAction(action, actionName) {
   try {
-      console.log(`Starting ${actionName}...`);
-      await action();
-      console.log(`${actionName} completed successfully!`);
+    logger.info(`Starting ${actionName}...`);
+    await action();
+    reportPlan();
+    logger.info(`${actionName} completed successfully!`);
   } catch (error) {
-      console.error(`${actionName} failed:`, error.message || error); // Improved error message
-      process.exit(1);
+    fail(error, actionName);
   }
 }
 
 program
   .command("install")
-  .description("Install Java and Tomcat")
-  .action(() => safeAction(async () => {
-    await install();
-    //await installTomcat();
-  }, "Installation"));
+  .description("Install Java, Tomcat and the other components the config lists")
+  .option("--java <version>", "Java channel or version from the install config")
+  .option("--tomcat <version>", "Tomcat channel or version from the install config")
+  .option("--maven <version>", "Maven channel or version from the install config, if it lists Maven")
+  .option("--gradle <version>", "Gradle channel or version from the install config, if it lists Gradle")
+  .option("--ant <version>", "Ant channel or version from the install config, if it lists Ant")
+  .action((options) => safeAction(() => install(options), "Installation"));
 
-  program
+program
   .command("upgrade")
-  .description("Upgrade Java and Tomcat based on mavee_config.json")
-  .action(async () => {
-    console.log("Starting upgrade process...");
-    try {
-      await upgrade();
-      console.log("Upgrade completed successfully!");
-      process.exit(0);
-    } catch (error) {
-      console.error("Upgrade failed:", error.message);
-      process.exit(1);
-    }
-  });
+  .description("Upgrade the components whose version selected in mavee_config_upgrade.json is not the one in use")
+  .option("--java <version>", "Java channel or version to upgrade to, e.g. 20 or latest")
+  .option("--tomcat <version>", "Tomcat channel, version or range to upgrade to, e.g. 11.0.5 or 10.1.x")
+  .option("--maven <version>", "Maven channel or version to upgrade to, if the config lists Maven")
+  .option("--gradle <version>", "Gradle channel or version to upgrade to, if the config lists Gradle")
+  .option("--ant <version>", "Ant channel or version to upgrade to, if the config lists Ant")
+  .action((options) => safeAction(() => upgrade(options), "Upgrade"));
+
+program
+  .command("rollback")
+  .description("Rollback Java, Tomcat and the other upgraded components to previous versions")
+  .option("--java <version>", "Roll Java back to this installed or backed-up version")
+  .option("--tomcat <version>", "Roll Tomcat back to this installed or backed-up version")
+  .option("--maven <version>", "Roll Maven back to this installed or backed-up version")
+  .option("--gradle <version>", "Roll Gradle back to this installed or backed-up version")
+  .option("--ant <version>", "Roll Ant back to this installed or backed-up version")
+  .action((options) => safeAction(() => rollback(options), "Rollback"));
 
-  program
-    .command("rollback")
-    .description("Rollback Java and Tomcat to previous versions")
-    .action(() => safeAction(rollback, "Rollback")); // Using safeAction (optional)
+program
+  .command("fetch")
+  .description("Download and verify the configured archives into the local artifact cache")
+  .option("--java <version>", "Java channel or version to fetch instead of the config default")
+  .option("--tomcat <version>", "Tomcat channel or version to fetch instead of the config default")
+  .option("--maven <version>", "Maven channel or version to fetch instead of the config default")
+  .option("--gradle <version>", "Gradle channel or version to fetch instead of the config default")
+  .option("--ant <version>", "Ant channel or version to fetch instead of the config default")
+  .action((options) => safeAction(() => prefetchArtifacts(options), "Fetch"));
 
 program
   .command("uninstall")
-  .description("Uninstall Java and Tomcat")
+  .description("Uninstall Java, Tomcat and the other installed components")
   .action(() => safeAction(async () => {
-    await uninstallJava();
-    await uninstallTomcat();
-    await removePreviousVersionsFile();
+    await confirmDestructive(UNINSTALL_WARNING, { yes: program.opts().yes, typed: "uninstall" });
+    await fullUninstall();
   }, "Uninstallation"));
 
-program.parse(process.argv);
+program
+  .command("status")
+  .description("Report the installed Java and Tomcat, their service and drift from the config")
+  .option("--json", "Print the status as JSON")
+  .action((options) => status(options));
+
+program
+  .command("list")
+  .description("List the versions of every component installed side by side; * marks the one in use")
+  .option("--json", "Print the versions as JSON")
+  .action((options) => list(options));
+
+program
+  .command("use <component> <version>")
+  .description("Switch the current java, tomcat, maven, ... to another installed version, e.g. `use java 21`")
+  .action((component, version) => safeAction(() => use(component, version), "Switch"));
+
+program
+  .command("recover")
+  .description("Report an interrupted install, upgrade, rollback or uninstall and resume or revert it")
+  .option("--resume", "Run the interrupted operation again to completion")
+  .option("--revert", "Put Java and Tomcat back on the versions in use before it started")
+  .action((options) => safeAction(() => recoverCommand(options), "Recovery"));
+
+program
+  .command("daemon")
+  .description("Stay running and upgrade on the schedule and in the maintenance windows from mave.daemon")
+  .option("--interval <duration>", "Check this often instead of the configured schedule, e.g. 30m or 6h")
+  .option("--schedule <cron>", "Check on this cron schedule instead, e.g. \"0 3 * * *\"")
+  .option("--once", "Run a single check and exit")
+  .action((options) => safeAction(() => daemon(options), "Daemon"));
+
+program
+  .command("serve")
+  .description("Serve status, history and jobs (upgrade, rollback, uninstall) over a local HTTP API; see src/api.js")
+  .option("--listen <host:port>", "Loopback address to listen on (default: 127.0.0.1:8787)")
+  .option("--socket <path>", "Listen on this unix socket instead")
+  .option("--token-file <path>", "File holding the API bearer token, created when missing")
+  .action((options) => safeAction(() => serve(options), "API server"));
+
+const backupsCommand = program.command("backups").description("Inspect the backups taken before upgrades");
+
+backupsCommand
+  .command("list")
+  .description("List every backup with its timestamp and size")
+  .option("--json", "Print the backups as JSON")
+  .action((options) => listBackupsCommand(options));
+
+const configCommand = program.command("config").description("Inspect and maintain the mavee config files");
+
+configCommand
+  .command("validate")
+  .description("Check both config files and report every invalid entry")
+  .option("--json", "Print the results as JSON")
+  .action(async (options) => {
+    if (!(await validateCommand(options))) {
+      process.exitCode = ConfigError.exitCode;
+    }
+  });
+
+configCommand
+  .command("migrate")
+  .description("Rewrite config files that still use the old flat version keys")
+  .action(() => safeAction(migrateCommand, "Migration"));
+
+program
+  .command("history")
+  .description("List recorded install, upgrade, rollback and uninstall operations")
+  .option("--json", "Print the ledger records as JSON")
+  .option("--limit <n>", "Only show the most recent N operations", (value) => parseInt(value, 10))
+  .action((options) => history(options));
+
+// No command: the guided mode on a terminal, the usage otherwise
+program.allowExcessArguments().action(async () => {
+  if (program.args.length) {
+    program.error(`error: unknown command '${program.args[0]}'`);
+  }
+  if (!process.stdin.isTTY || !process.stdout.isTTY) {
+    program.help();
+  }
+  await interactive({ yes: program.opts().yes });
+});
+
+program.parseAsync(process.argv).catch((error) => fail(error));
@@ -17,20 +17,46 @@ TARGET_DIR=$(pwd)
 
 echo "Using target directory: $TARGET_DIR"
 
-echo "Updating system..."
-dnf update -y && dnf upgrade -y
-
-echo "Installing essential packages: sudo, tar, zip, wget, curl"
-dnf install -y tar zip curl 
-dnf install -y dnf-plugins-core wget curl tar git
-dnf install sudo -y
-sudo dnf install wget -y
-sudo dnf install systemd -y
-sudo dnf install -y ncurses
-sudo dnf install -y findutils
-sudo dnf install -y cronie
-sudo dnf install -y systemd
-sudo dnf install -y procps-ng
+# Pick the package manager from /etc/os-release (same rules as src/platform.js);
+# PACKAGE_MANAGER=dnf|yum|apt|zypper overrides the detection
+if [ -z "$PACKAGE_MANAGER" ]; then
+    . /etc/os-release 2>/dev/null
+    case " $ID $ID_LIKE " in
+        *" debian "*|*" ubuntu "*) PACKAGE_MANAGER=apt ;;
+        *suse*|*sles*) PACKAGE_MANAGER=zypper ;;
+        *" rhel "*|*" centos "*|*" rocky "*|*" almalinux "*|*" ol "*|*" fedora "*)
+            if [ "$ID" != "fedora" ] && [ "${VERSION_ID%%.*}" -lt 8 ] 2>/dev/null; then
+                PACKAGE_MANAGER=yum
+            else
+                PACKAGE_MANAGER=dnf
+            fi ;;
+        *) PACKAGE_MANAGER=dnf ;;
+    esac
+fi
+echo "Using package manager: $PACKAGE_MANAGER"
+
+echo "Updating system and installing essential packages..."
+case "$PACKAGE_MANAGER" in
+    dnf|yum)
+        $PACKAGE_MANAGER update -y || handle_error "Failed to update the system"
+        $PACKAGE_MANAGER install -y sudo tar gzip zip curl wget git systemd ncurses findutils cronie procps-ng \
+            diffutils shadow-utils || handle_error "Failed to install packages"
+        ;;
+    apt)
+        export DEBIAN_FRONTEND=noninteractive
+        apt-get update && apt-get upgrade -y || handle_error "Failed to update the system"
+        apt-get install -y sudo tar gzip zip curl wget git systemd ncurses-bin findutils cron procps \
+            diffutils adduser || handle_error "Failed to install packages"
+        ;;
+    zypper)
+        zypper --non-interactive refresh && zypper --non-interactive update || handle_error "Failed to update the system"
+        zypper --non-interactive install sudo tar gzip zip curl wget git systemd ncurses-utils findutils cronie procps \
+            diffutils shadow || handle_error "Failed to install packages"
+        ;;
+    *)
+        handle_error "Unknown package manager $PACKAGE_MANAGER; use dnf, yum, apt or zypper."
+        ;;
+esac
 
 echo "Downloading and installing NVM..."
 export NVM_VERSION="0.39.5"  # Latest stable version
@@ -75,15 +101,20 @@ sudo chmod +x "$SERVICE_FILE"
 sudo cp "$SERVICE_FILE" /etc/systemd/system/ || handle_error "Failed to copy mavee-updater.service"
 sudo chmod +x /etc/systemd/system/mavee-updater.service || handle_error "Failed to set permissions on mavee-updater.service"
 
-# Step 5: Add cron job
-echo "Adding cron job..."
-(crontab -l 2>/dev/null; echo "*/2 * * * * /root/.nvm/versions/node/v22.14.0/bin/node $TARGET_DIR/bin/mavee_updater_cli.js upgrade >> /var/log/mavee-updater-cron.log 2>&1") | crontab - || handle_error "Failed to add cron job"
+# Step 5: Remove the cron job older releases added; the daemon schedules upgrades now
+echo "Removing the old updater cron job..."
+(crontab -l 2>/dev/null | grep -v "mavee_updater_cli.js") | crontab - || handle_error "Failed to update crontab"
 
 # Step 7: Run npm install in the target directory
 echo "Running npm install in $TARGET_DIR..."
 cd "$TARGET_DIR" || handle_error "Failed to change directory to $TARGET_DIR"
 npm install --no-save || handle_error "Failed to run npm install"
 
+# Step 8: Start the updater daemon
+echo "Enabling mavee-updater.service..."
+sudo systemctl daemon-reload || handle_error "Failed to reload systemd"
+sudo systemctl enable --now mavee-updater.service || handle_error "Failed to start mavee-updater.service"
+
 echo "Setup complete!"
 
 # Restart WSL2 using PowerShell
@@ -0,0 +1,340 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const express = require("express");
+const paths = require("./paths");
+const { readHostSettings } = require("./settings");
+const { isDryRun, getPlan } = require("./executor");
+const { readState } = require("./state");
+const { componentNames } = require("./components");
+const { collectStatus } = require("./status");
+const { upgrade } = require("./upgrade");
+const { rollback } = require("./rollback");
+const { fullUninstall } = require("./uninstall");
+const { guardInterrupted } = require("./recovery");
+const { withLock } = require("./lock");
+const logger = require("./logger");
+const { ConfigError, errorSummary } = require("./errors");
+
+/**
+ * `java-manager serve`: a local HTTP API for dashboards. Settings come from
+ * `mave.api` and the command line:
+ *
+ *   listen      "127.0.0.1:8787"; only loopback addresses are accepted
+ *   socket      unix socket path to listen on instead, e.g. "/run/java-manager.sock"
+ *   tokenFile   bearer token, generated on first start (default /etc/java-manager/api-token);
+ *               the JAVA_MANAGER_API_TOKEN environment variable wins over it
+ *
+ *   GET  /status                 what `status --json` prints
+ *   GET  /history?limit=N        ledger operations, newest first
+ *   POST /upgrade                { java?, tomcat?, maven? }  -> 202 { id, ... }
+ *   POST /rollback               { java?, tomcat?, maven? }  -> 202 { id, ... }
+ *   POST /uninstall              { confirm: true }           -> 202 { id, ... }
+ *   GET  /jobs, /jobs/:id        job state and log; state is "queued", "running", "succeeded",
+ *                                "skipped" (nothing to do) or "failed" with `error`, `code` and `exitCode`
+ *                                as in the CLI's error summary
+ *   GET  /jobs/:id/events        Server-Sent Events: `log` lines, then `end`
+ *
+ * Every request needs `Authorization: Bearer <token>`; `?token=` is also
+ * accepted for /jobs/:id/events because EventSource cannot send headers.
+ * Jobs run one at a time, under the same run lock as the CLI.
+ */
+const DEFAULT_API = { listen: "127.0.0.1:8787", socket: "", tokenFile: "/etc/java-manager/api-token" };
+const LOOPBACK_HOSTS = ["127.0.0.1", "::1", "localhost"];
+const OPERATIONS = {
+  upgrade: (args) => upgrade(args),
+  rollback: (args) => rollback(args),
+  uninstall: () => fullUninstall(),
+};
+
+/**
+ * @param {string|number} listen - "host:port", "[::1]:port" or a bare port.
+ * @returns {{ host: string, port: number }}
+ * @throws {ConfigError} - For anything but a loopback address.
+ */
+function parseListen(listen) {
+  const match = String(listen).match(/^(?:\[([^\]]+)\]|([^:]+)):(\d+)$|^(\d+)$/);
+  if (!match) {
+    throw new ConfigError(`🚨 Invalid listen address ${JSON.stringify(listen)}; use host:port, e.g. 127.0.0.1:8787.`);
+  }
+  const host = match[1] || match[2] || "127.0.0.1";
+  const port = Number(match[3] || match[4]);
+  if (!LOOPBACK_HOSTS.includes(host)) {
+    throw new ConfigError(`🚨 Refusing to listen on ${host}: the API only listens on localhost or a unix socket.`);
+  }
+  if (port < 1 || port > 65535) {
+    throw new ConfigError(`🚨 Invalid port ${port}.`);
+  }
+  return { host, port };
+}
+
+/**
+ * The API token, from the environment or the token file; the file is
+ * created with a random token when missing.
+ */
+function readToken(tokenFile) {
+  if (process.env.JAVA_MANAGER_API_TOKEN) {
+    return process.env.JAVA_MANAGER_API_TOKEN;
+  }
+  if (!fs.existsSync(tokenFile)) {
+    fs.mkdirSync(path.dirname(tokenFile), { recursive: true });
+    fs.writeFileSync(tokenFile, `${crypto.randomBytes(32).toString("hex")}\n`, { mode: 0o600 });
+    logger.info(`🔑 Generated an API token in ${tokenFile}`);
+  }
+  const token = fs.readFileSync(tokenFile, "utf-8").trim();
+  if (!token) {
+    throw new ConfigError(`🚨 ${tokenFile} is empty.`);
+  }
+  return token;
+}
+
+function tokenMatches(given, token) {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function authenticate(token) {
+  return (req, res, next) => {
+    const header = req.get("authorization") || "";
+    const bearer = header.startsWith("Bearer ") ? header.slice("Bearer ".length) : null;
+    const given = bearer || (req.path.endsWith("/events") ? req.query.token : null);
+    if (!tokenMatches(given, token)) {
+      res.status(401).set("WWW-Authenticate", "Bearer").json({ error: "missing or invalid token" });
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Background jobs. Their console output is captured as log lines while they
+ * run; only one runs at a time, so nothing else writes in between.
+ */
+const jobs = new Map();
+let runningJob = null;
+
+function jobSummary(job) {
+  const { listeners, ...summary } = job;
+  return summary;
+}
+
+function emit(job, event, data) {
+  for (const res of job.listeners) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+}
+
+function captureConsole(job) {
+  const originals = {};
+  for (const level of ["log", "info", "warn", "error"]) {
+    originals[level] = console[level];
+    console[level] = (...args) => {
+      originals[level](...args);
+      const line = {
+        at: new Date().toISOString(),
+        level: level === "log" ? "info" : level,
+        message: args.map((arg) => (typeof arg === "string" ? arg : (arg && arg.message) || JSON.stringify(arg))).join(" "),
+      };
+      job.log.push(line);
+      emit(job, "log", line);
+    };
+  }
+  return () => Object.assign(console, originals);
+}
+
+async function runJob(job) {
+  runningJob = job;
+  job.runId = logger.beginRun();
+  job.state = "running";
+  job.startedAt = new Date().toISOString();
+  const planStart = getPlan().length;
+  const restoreConsole = captureConsole(job);
+  try {
+    await withLock(`serve ${job.operation}`, async () => {
+      await guardInterrupted();
+      await OPERATIONS[job.operation](job.args);
+    });
+    job.state = "succeeded";
+  } catch (error) {
+    const summary = errorSummary(error);
+    if (summary.status === "nothing-to-do") {
+      job.state = "skipped";
+    } else {
+      logger.error(`❌ ${job.operation} failed: ${summary.message}`);
+      job.state = "failed";
+    }
+    Object.assign(job, { error: summary.message, code: summary.code, exitCode: summary.exitCode });
+  } finally {
+    restoreConsole();
+    if (isDryRun()) {
+      job.plan = getPlan().slice(planStart);
+    }
+    job.finishedAt = new Date().toISOString();
+    runningJob = null;
+  }
+  emit(job, "end", jobSummary(job));
+  for (const res of job.listeners) {
+    res.end();
+  }
+  job.listeners.clear();
+}
+
+function selectors(body = {}) {
+  const args = {};
+  for (const component of componentNames()) {
+    if (body[component] !== undefined) {
+      if (typeof body[component] !== "string" || !/^[\w.+-]+$/.test(body[component])) {
+        throw new Error(`${component} must be a version or channel name`);
+      }
+      args[component] = body[component];
+    }
+  }
+  return args;
+}
+
+function startJob(operation) {
+  return (req, res) => {
+    if (runningJob) {
+      res.status(409).json({ error: `job ${runningJob.id} (${runningJob.operation}) is still running`, job: runningJob.id });
+      return;
+    }
+    let args;
+    try {
+      if (operation === "uninstall" && !(req.body && req.body.confirm === true)) {
+        throw new Error('uninstall removes Java and Tomcat; send { "confirm": true }');
+      }
+      args = operation === "uninstall" ? {} : selectors(req.body);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      operation,
+      args,
+      state: "queued",
+      createdAt: new Date().toISOString(),
+      log: [],
+      listeners: new Set(),
+    };
+    jobs.set(job.id, job);
+    runJob(job);
+    res.status(202).location(`/jobs/${job.id}`).json({ ...jobSummary(job), events: `/jobs/${job.id}/events` });
+  };
+}
+
+function streamEvents(req, res) {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    res.status(404).json({ error: "no such job" });
+    return;
+  }
+  res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  for (const line of job.log) {
+    res.write(`event: log\ndata: ${JSON.stringify(line)}\n\n`);
+  }
+  if (job.finishedAt) {
+    res.end(`event: end\ndata: ${JSON.stringify(jobSummary(job))}\n\n`);
+    return;
+  }
+  job.listeners.add(res);
+  req.on("close", () => job.listeners.delete(res));
+}
+
+function createApp(token) {
+  const app = express();
+  app.disable("x-powered-by");
+  app.use(authenticate(token));
+  app.use(express.json());
+
+  app.get("/status", async (req, res, next) => {
+    try {
+      res.json(await collectStatus());
+    } catch (error) {
+      next(error);
+    }
+  });
+  app.get("/history", (req, res) => {
+    const limit = parseInt(req.query.limit, 10);
+    const { operations } = readState();
+    res.json(operations.slice(limit > 0 ? -limit : 0).reverse());
+  });
+  app.post("/upgrade", startJob("upgrade"));
+  app.post("/rollback", startJob("rollback"));
+  app.post("/uninstall", startJob("uninstall"));
+  app.get("/jobs", (req, res) => res.json([...jobs.values()].map(jobSummary).reverse()));
+  app.get("/jobs/:id", (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+      res.status(404).json({ error: "no such job" });
+      return;
+    }
+    res.json(jobSummary(job));
+  });
+  app.get("/jobs/:id/events", streamEvents);
+
+  app.use((req, res) => res.status(404).json({ error: "not found" }));
+  app.use((error, req, res, next) => {
+    res.status(error.status || 500).json({ error: error.message || String(error) });
+  });
+  return app;
+}
+
+/**
+ * Serves the API until SIGTERM/SIGINT; a running job is allowed to finish first.
+ *
+ * @param {{ listen?: string, socket?: string, tokenFile?: string }} [options] - Overrides of `mave.api`.
+ */
+async function serve(options = {}) {
+  const settings = { ...DEFAULT_API, ...readHostSettings("api"), ...options };
+  const token = readToken(paths.rooted(settings.tokenFile));
+  const app = createApp(token);
+
+  const server = await new Promise((resolve, reject) => {
+    let listening;
+    if (settings.socket) {
+      fs.rmSync(settings.socket, { force: true });
+      listening = app.listen(settings.socket, () => {
+        fs.chmodSync(settings.socket, 0o660);
+        logger.info(`🌐 java-manager API listening on unix socket ${settings.socket}`);
+        resolve(listening);
+      });
+    } else {
+      const { host, port } = parseListen(settings.listen);
+      listening = app.listen(port, host, () => {
+        logger.info(`🌐 java-manager API listening on http://${host.includes(":") ? `[${host}]` : host}:${port}`);
+        resolve(listening);
+      });
+    }
+    listening.once("error", reject);
+  });
+
+  await new Promise((resolve) => {
+    const stop = async (signal) => {
+      process.removeListener("SIGTERM", onSigterm);
+      process.removeListener("SIGINT", onSigint);
+      const job = runningJob;
+      logger.info(job ? `🛑 ${signal} received; waiting for job ${job.id} (${job.operation}) to finish...` : `🛑 ${signal} received.`);
+      server.close(resolve);
+      while (runningJob) {
+        await new Promise((wait) => setTimeout(wait, 500));
+      }
+      for (const entry of jobs.values()) {
+        entry.listeners.forEach((res) => res.end());
+      }
+      server.closeAllConnections();
+    };
+    const onSigterm = () => stop("SIGTERM");
+    const onSigint = () => stop("SIGINT");
+    process.on("SIGTERM", onSigterm);
+    process.on("SIGINT", onSigint);
+  });
+  if (settings.socket) {
+    fs.rmSync(settings.socket, { force: true });
+  }
+  logger.info("👋 java-manager API stopped.");
+}
+
+module.exports = { DEFAULT_API, parseListen, createApp, serve };
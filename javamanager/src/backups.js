@@ -0,0 +1,159 @@
+const fs = require("fs");
+const path = require("path");
+const { runCommand } = require("./executor");
+const paths = require("./paths");
+const { readHostSettings } = require("./settings");
+const logger = require("./logger");
+const { definitionFor, componentNames, directoryPattern } = require("./components");
+
+/**
+ * Snapshots of installed versions, taken before every upgrade. Each one is
+ * named `<install dir>@<UTC timestamp>` (e.g. `openjdk-18@20261018T083700Z`),
+ * so several snapshots of the same version can coexist.
+ *
+ * Retention comes from `mave.backups` in the mavee config:
+ *   keep        - newest backups kept per component (default 3, 0 = no limit)
+ *   maxAgeDays  - backups older than this are pruned (default 0 = no limit);
+ *                 the newest backup of a component is never pruned by age
+ */
+const DEFAULT_RETENTION = { keep: 3, maxAgeDays: 0 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function componentInfo(component) {
+  const definition = definitionFor(component);
+  return {
+    label: definition.label,
+    backupsDir: () => paths.backupsDir(component),
+    directory: (version) => paths.componentDir(component, version),
+    pattern: directoryPattern(definition, "(?:@(\\d{8}T\\d{6}Z))?"),
+  };
+}
+
+function formatStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+}
+
+function parseStamp(stamp) {
+  const [, year, month, day, hour, minute, second] = stamp.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
+
+/**
+ * Backups of `component`, newest first. Backups from older releases have no
+ * timestamp in their name; their modification time is used instead.
+ *
+ * @param {string} component - "java", "tomcat", "maven", ...
+ * @returns {{ component: string, version: string, path: string, createdAt: Date }[]}
+ */
+function listBackups(component) {
+  const { backupsDir, pattern } = componentInfo(component);
+  const dir = backupsDir();
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && pattern.test(entry.name))
+    .map((entry) => {
+      const [, version, stamp] = entry.name.match(pattern);
+      const backupPath = path.join(dir, entry.name);
+      const createdAt = stamp ? parseStamp(stamp) : fs.statSync(backupPath).mtime;
+      return { component, version, path: backupPath, createdAt };
+    })
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * The newest backup of a specific version, or `null`.
+ */
+function findBackup(component, version) {
+  return listBackups(component).find((backup) => backup.version === version) || null;
+}
+
+/**
+ * Copies the installed `version` of `component` into a new timestamped backup.
+ *
+ * @returns {Promise<string>} - Path of the backup.
+ */
+async function createBackup(component, version) {
+  const { backupsDir, directory } = componentInfo(component);
+  const source = directory(version);
+  const destination = path.join(backupsDir(), `${path.basename(source)}@${formatStamp(new Date())}`);
+
+  logger.info(`📂 Creating backup: ${source} -> ${destination}`);
+  await runCommand(`sudo mkdir -p ${backupsDir()}`);
+  await runCommand(`sudo cp -a ${source} ${destination}`);
+  return destination;
+}
+
+/**
+ * Deletes backups outside the configured retention policy.
+ *
+ * @param {object} [retention] - Overrides for `mave.backups`.
+ * @returns {Promise<string[]>} - Paths of the pruned backups.
+ */
+async function pruneBackups(retention = {}) {
+  const { keep, maxAgeDays } = { ...DEFAULT_RETENTION, ...readHostSettings("backups"), ...retention };
+  const pruned = [];
+
+  for (const component of componentNames()) {
+    const backups = listBackups(component);
+    for (const [index, backup] of backups.entries()) {
+      const tooMany = keep > 0 && index >= keep;
+      const tooOld = maxAgeDays > 0 && index > 0 && Date.now() - backup.createdAt > maxAgeDays * DAY_MS;
+      if (!tooMany && !tooOld) continue;
+
+      const reason = tooMany ? `keeping ${keep}` : `older than ${maxAgeDays} days`;
+      logger.info(`🧹 Pruning ${componentInfo(component).label} backup ${backup.path} (${reason})`);
+      await runCommand(`sudo rm -rf ${backup.path}`, { kind: "delete" });
+      pruned.push(backup.path);
+    }
+  }
+  return pruned;
+}
+
+async function sizeOf(backupPath) {
+  try {
+    const output = await runCommand(`du -sk ${backupPath}`, { readOnly: true });
+    return parseInt(output, 10) * 1024;
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatSize(bytes) {
+  if (bytes === null) return "?";
+  return bytes >= 1024 * 1024 * 1024
+    ? `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`
+    : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * `java-manager backups list`: every backup with its timestamp and size.
+ *
+ * @param {{ json?: boolean }} [options]
+ */
+async function listBackupsCommand(options = {}) {
+  const backups = [];
+  for (const component of componentNames()) {
+    for (const backup of listBackups(component)) {
+      backups.push({ ...backup, createdAt: backup.createdAt.toISOString(), sizeBytes: await sizeOf(backup.path) });
+    }
+  }
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(backups, null, 2)}\n`);
+    return;
+  }
+  if (!backups.length) {
+    console.log("ℹ️ No backups found.");
+    return;
+  }
+  for (const backup of backups) {
+    const label = componentInfo(backup.component).label.padEnd(6);
+    console.log(`📂 ${label} ${backup.version.padEnd(10)} ${backup.createdAt}  ${formatSize(backup.sizeBytes).padStart(9)}  ${backup.path}`);
+  }
+}
+
+module.exports = { listBackups, findBackup, createBackup, pruneBackups, listBackupsCommand };
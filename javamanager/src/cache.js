@@ -0,0 +1,239 @@
+const fs = require("fs");
+const path = require("path");
+const { fileURLToPath, pathToFileURL } = require("url");
+const { download } = require("./download");
+const { runCommand, writeFile, isDryRun } = require("./executor");
+const paths = require("./paths");
+const { verifyArchive, hashFile } = require("./verify");
+const { readSelection } = require("./config");
+const logger = require("./logger");
+const { DownloadError } = require("./errors");
+const { resolveArtifact } = require("./resolvers");
+
+/**
+ * Content-addressed store for downloaded archives:
+ *
+ *   <cache>/objects/<sha256>   the archives themselves
+ *   <cache>/index.json         "<component>@<version>" -> { sha256, url, file, size, fetchedAt }
+ *
+ * Archives are only added after they passed verification, and are verified
+ * again against the current config whenever they are taken from the cache:
+ * its digest, checksum file and signature. Offline, checksum files and
+ * signatures that are neither local nor in the mirror cannot be read, so the
+ * digest recorded when the archive was cached stands in for them.
+ */
+let offline = false;
+
+/**
+ * @param {{ offline?: boolean }} options - In offline mode nothing is downloaded;
+ *   archives must come from the cache, a `file://` URL or the local mirror.
+ */
+function configureCache(options = {}) {
+  offline = Boolean(options.offline);
+}
+
+function isOffline() {
+  return offline;
+}
+
+function indexPath() {
+  return path.join(paths.cacheDir(), "index.json");
+}
+
+function objectPath(sha256) {
+  return path.join(paths.cacheDir(), "objects", sha256);
+}
+
+function readIndex() {
+  if (!fs.existsSync(indexPath())) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(indexPath(), "utf-8"));
+}
+
+function archiveName(url) {
+  return path.basename(new URL(url).pathname);
+}
+
+/**
+ * Finds a cached archive for the dependency, preferring an exact `sha256`
+ * match from the config over the version index.
+ *
+ * @returns {{ file: string, sha256: string } | null}
+ */
+function findCached(component, dependency) {
+  const pinned = dependency.sha256 && dependency.sha256.toLowerCase();
+  if (pinned && fs.existsSync(objectPath(pinned))) {
+    return { file: objectPath(pinned), sha256: pinned };
+  }
+
+  const entry = readIndex()[`${component}@${dependency.version}`];
+  if (entry && entry.url === dependency.packageUrlUnix && fs.existsSync(objectPath(entry.sha256))) {
+    return { file: objectPath(entry.sha256), sha256: entry.sha256 };
+  }
+  return null;
+}
+
+/**
+ * Works out where a local copy of the archive can be taken from without
+ * going to the network: a `file://` URL or the configured mirror directory.
+ */
+function findLocalSource(url, mirror) {
+  if (url.startsWith("file://")) {
+    return fileURLToPath(url);
+  }
+  if (mirror) {
+    const mirrored = path.join(mirror, archiveName(url));
+    if (fs.existsSync(mirrored)) {
+      return mirrored;
+    }
+  }
+  return null;
+}
+
+/**
+ * Points `checksumUrl`, `signatureUrl` and `gpgKeyUrl` at copies in the mirror
+ * directory when it has them, so verification works without network access.
+ */
+function localizeDependency(dependency, mirror) {
+  if (!mirror) {
+    return dependency;
+  }
+  const localized = { ...dependency };
+  for (const key of ["checksumUrl", "signatureUrl", "gpgKeyUrl"]) {
+    if (!dependency[key]) continue;
+    const mirrored = path.join(mirror, archiveName(dependency[key]));
+    if (fs.existsSync(mirrored)) {
+      localized[key] = pathToFileURL(mirrored).href;
+    }
+  }
+  return localized;
+}
+
+/**
+ * Returns a verified local copy of a dependency's archive, downloading it
+ * into the cache only when neither the cache nor a local source has it.
+ *
+ * @param {string} component - e.g. "java", "tomcat" or "maven".
+ * @param {object} dependency - The `mave.dependencies.<component>` config entry; candidates
+ *   naming a vendor release are resolved first (see resolvers/).
+ * @param {object} [options]
+ * @param {string} [options.mirror] - Directory holding archives by file name.
+ * @returns {Promise<string>} - Path of the cached archive.
+ */
+async function fetchArtifact(component, unresolved, options = {}) {
+  const dependency = await resolveArtifact(component, unresolved, { offline });
+  const { version, packageUrlUnix: url } = dependency;
+  const label = `${component} ${version}`;
+
+  const cached = findCached(component, dependency);
+  if (cached) {
+    try {
+      const current = localizeDependency(dependency, options.mirror);
+      const unreachable = ["checksumUrl", "signatureUrl", "gpgKeyUrl"].some(
+        (key) => current[key] && !current[key].startsWith("file://")
+      );
+      const expected =
+        offline && unreachable
+          ? { packageUrlUnix: url, sha256: dependency.sha256 || cached.sha256, sha512: dependency.sha512 }
+          : current;
+      await verifyArchive(cached.file, expected, label);
+      logger.info(`📦 Using cached ${label}: ${cached.file}`);
+      return cached.file;
+    } catch (error) {
+      logger.warn(`⚠️ Cached ${label} no longer matches the config, fetching it again: ${error.message}`);
+    }
+  }
+
+  const localSource = findLocalSource(url, options.mirror);
+  if (!localSource && offline) {
+    throw new DownloadError(
+      `🚨 ${label} is not in the cache (${paths.cacheDir()}) or mirror and --offline is set.`,
+      "offline",
+      url
+    );
+  }
+
+  const incomingDir = path.join(paths.cacheDir(), "incoming");
+  const incoming = path.join(incomingDir, `${component}-${version}-${archiveName(url)}`);
+  await runCommand(`sudo mkdir -p ${incomingDir} ${path.join(paths.cacheDir(), "objects")}`);
+  // Downloads are written by this process, and partial files are kept here for resuming
+  await runCommand(`sudo chown "$(id -u):$(id -g)" ${incomingDir}`);
+
+  if (localSource) {
+    logger.info(`📂 Copying ${label} from ${localSource}...`);
+    await runCommand(`sudo cp "${localSource}" "${incoming}"`, {
+      description: `Copy ${localSource} -> ${incoming}`,
+    });
+  } else {
+    await download(url, incoming, { label });
+  }
+
+  try {
+    await verifyArchive(incoming, localizeDependency(dependency, options.mirror), label);
+  } catch (error) {
+    await runCommand(`sudo rm -f "${incoming}"`, { kind: "delete" });
+    throw error;
+  }
+
+  if (isDryRun()) {
+    const planned = objectPath("<sha256>");
+    await runCommand(`sudo mv "${incoming}" "${planned}"`);
+    await writeFile(indexPath(), "<updated index>", { mode: "644" });
+    return planned;
+  }
+
+  const sha256 = await hashFile(incoming, "sha256");
+  const stored = objectPath(sha256);
+  await runCommand(`sudo mv -f "${incoming}" "${stored}"`);
+
+  const index = readIndex();
+  index[`${component}@${version}`] = {
+    sha256,
+    url,
+    file: archiveName(url),
+    size: fs.statSync(stored).size,
+    fetchedAt: new Date().toISOString(),
+  };
+  await writeFile(indexPath(), `${JSON.stringify(index, null, 2)}\n`, { mode: "644" });
+
+  logger.info(`📦 Cached ${label} as ${stored}`);
+  return stored;
+}
+
+/**
+ * SHA-256 of an archive returned by `fetchArtifact`; objects are stored under
+ * their own digest, so no re-hashing is needed.
+ */
+function artifactDigest(archive) {
+  return path.basename(archive);
+}
+
+/**
+ * The cached archive of a version fetched earlier, whatever URL it came from,
+ * or `null`. Used to compare against the stock files of an installed version.
+ */
+function cachedArchive(component, version) {
+  const entry = readIndex()[`${component}@${version}`];
+  return entry && fs.existsSync(objectPath(entry.sha256)) ? objectPath(entry.sha256) : null;
+}
+
+/**
+ * Pre-populates the cache with the candidates the install and upgrade configs
+ * select by default (Maven, Gradle, ... included), so the host can later
+ * install and upgrade offline.
+ *
+ * @param {{ java?: string, tomcat?: string }} [selectors] - Channel or version to fetch instead of the defaults.
+ */
+async function prefetchArtifacts(selectors = {}) {
+  for (const kind of ["install", "upgrade"]) {
+    const { java, tomcat, tools, mirror } = readSelection(kind, selectors);
+    await fetchArtifact("java", java, { mirror });
+    await fetchArtifact("tomcat", tomcat, { mirror });
+    for (const [component, dependency] of Object.entries(tools)) {
+      await fetchArtifact(component, dependency, { mirror });
+    }
+  }
+}
+
+module.exports = { configureCache, isOffline, fetchArtifact, artifactDigest, cachedArchive, prefetchArtifacts };
@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+const { runCommand, writeFile, isDryRun, systemActionsEnabled } = require("./executor");
+const paths = require("./paths");
+const { serviceSettings, chownToServiceAccount } = require("./service");
+const { healthSettings, waitForTomcat } = require("./health");
+const { isListening } = require("./status");
+const logger = require("./logger");
+const { ConfigError, ServiceError, asError } = require("./errors");
+
+/**
+ * Blue/green gate of upgrades. Before any `current` link is switched, the
+ * staged Tomcat — or the Tomcat in use on a staged JDK — is started next to
+ * production as the transient `tomcat-canary` unit. It runs with a
+ * CATALINA_BASE of its own under `<prefix>/.staging`, whose server.xml has
+ * every port shifted by `mave.healthCheck.canaryPortOffset`, and has to pass
+ * the health check (see health.js) on those ports. It is stopped again either
+ * way; production keeps running on the versions in use throughout.
+ */
+const CANARY_SERVICE = "tomcat-canary";
+
+function canaryBaseDir() {
+  return path.join(paths.stagingDir(), CANARY_SERVICE);
+}
+
+/**
+ * Shifts the shutdown, connector and redirect ports of a server.xml.
+ *
+ * @returns {{ content: string, ports: Map<number, number> }} - The new content and each original port's shifted one.
+ */
+function shiftPorts(serverXml, offset) {
+  const ports = new Map();
+  const content = serverXml.replace(/<(?:Server|Connector)\b[^>]*>/g, (tag) =>
+    tag.replace(/\b(port|redirectPort)="(\d+)"/g, (attribute, name, value) => {
+      const port = Number(value);
+      if (!port) {
+        // 0 picks a free port already
+        return attribute;
+      }
+      if (port + offset > 65535) {
+        throw new ConfigError(`🚨 Port ${port} moved by mave.healthCheck.canaryPortOffset ${offset} is above 65535.`);
+      }
+      ports.set(port, port + offset);
+      return `${name}="${port + offset}"`;
+    })
+  );
+  return { content, ports };
+}
+
+/**
+ * The probe URL moved onto the staged instance's port, or "" when it does
+ * not point at one of Tomcat's own ports (probing a proxy would only test production).
+ */
+function canaryUrl(url, ports) {
+  if (!url) {
+    return "";
+  }
+  const probe = new URL(url);
+  const port = Number(probe.port || (probe.protocol === "https:" ? 443 : 80));
+  if (!ports.has(port)) {
+    logger.info(`ℹ️ Not probing ${url} on the staged Tomcat: it is not one of the ports in its server.xml.`);
+    return "";
+  }
+  probe.port = String(ports.get(port));
+  return probe.toString();
+}
+
+/**
+ * Starts Tomcat from `tomcatHome` on `javaHome` on the shifted ports and
+ * waits for it to pass the health check, then stops it.
+ *
+ * @param {{ javaHome: string, tomcatHome: string, label: string }} instance - e.g. the staged Tomcat
+ *   directory, the current Java link and "Tomcat 10.1.34 on Java 17".
+ * @throws {ServiceError} - When it does not come up healthy; nothing in use has changed then.
+ */
+async function gateStaged({ javaHome, tomcatHome, label }) {
+  const settings = healthSettings();
+  if (!settings.canary) {
+    return;
+  }
+  if (!systemActionsEnabled()) {
+    logger.info(`⏭️ Skipping the ${CANARY_SERVICE} run of ${label} outside the real root: Tomcat is not started there.`);
+    return;
+  }
+  const serverXml = path.join(tomcatHome, "conf", "server.xml");
+  if (!isDryRun() && !fs.existsSync(serverXml)) {
+    logger.warn(`⚠️ ${serverXml} does not exist; ${label} cannot be started before the switch.`);
+    return;
+  }
+
+  const offset = settings.canaryPortOffset;
+  const { content, ports } = shiftPorts(isDryRun() ? "" : fs.readFileSync(serverXml, "utf-8"), offset);
+  for (const port of ports.values()) {
+    if (await isListening(port)) {
+      throw new ServiceError(
+        `🚨 Port ${port} that ${label} would run on is in use; pick a free range with mave.healthCheck.canaryPortOffset.`
+      );
+    }
+  }
+
+  // ✅ A CATALINA_BASE of its own: the staged conf/ on the shifted ports, its webapps/, fresh logs/, temp/ and work/
+  const base = canaryBaseDir();
+  logger.info(`🐤 Starting ${label} as ${CANARY_SERVICE} on ports shifted by ${offset}...`);
+  await runCommand(`sudo rm -rf ${base}`, { kind: "delete" });
+  await runCommand(`sudo mkdir -p ${base}/logs ${base}/temp ${base}/work`);
+  await runCommand(`sudo cp -a ${tomcatHome}/conf ${base}/conf`);
+  await writeFile(path.join(base, "conf", "server.xml"), content, { mode: "644" });
+  await runCommand(`sudo ln -sfn ${tomcatHome}/webapps ${base}/webapps`);
+  await chownToServiceAccount(base);
+
+  const { user, group, catalinaOpts, javaOpts } = serviceSettings();
+  const environment = [
+    `JAVA_HOME=${javaHome}`,
+    `CATALINA_HOME=${tomcatHome}`,
+    `CATALINA_BASE=${base}`,
+    catalinaOpts && `CATALINA_OPTS=${catalinaOpts}`,
+    javaOpts && `JAVA_OPTS=${javaOpts}`,
+  ]
+    .filter(Boolean)
+    .map((variable) => `--setenv="${variable}"`)
+    .join(" ");
+
+  try {
+    // ✅ Clear what an interrupted run may have left behind, then start it
+    await runCommand(`sudo systemctl stop ${CANARY_SERVICE} 2>/dev/null || true`, { kind: "service" });
+    await asError(ServiceError, () =>
+      runCommand(
+        `sudo systemd-run --unit=${CANARY_SERVICE} --collect --uid=${user} --gid=${group} ${environment} ${tomcatHome}/bin/catalina.sh run`,
+        { kind: "service", description: `Start ${label} as ${CANARY_SERVICE}` }
+      )
+    );
+
+    await waitForTomcat(
+      {
+        port: settings.port === true || !settings.port ? settings.port : settings.port + offset,
+        url: canaryUrl(settings.url, ports),
+      },
+      { unit: CANARY_SERVICE, base, name: label }
+    );
+  } finally {
+    // ✅ Stop it either way; production is restarted on the new versions next
+    await runCommand(`sudo systemctl stop ${CANARY_SERVICE} || true`, {
+      kind: "service",
+      description: `Stop ${CANARY_SERVICE}`,
+    }).catch(() => {});
+    await runCommand(`sudo rm -rf ${base}`, { kind: "delete" }).catch(() => {});
+  }
+}
+
+module.exports = { CANARY_SERVICE, shiftPorts, gateStaged };
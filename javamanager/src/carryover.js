@@ -0,0 +1,256 @@
+const fs = require("fs");
+const path = require("path");
+const { runCommand, writeFile, recordStep, isDryRun } = require("./executor");
+const paths = require("./paths");
+const { fetchArtifact, cachedArchive } = require("./cache");
+const { loadConfig, resolveDependency } = require("./config");
+const logger = require("./logger");
+const { ExtractError, asError } = require("./errors");
+
+/**
+ * Carries a Tomcat installation's customizations over to the version that
+ * replaces it. Files are compared three ways: the outgoing installation
+ * ("mine"), the stock files of the outgoing version ("base") and the stock
+ * files of the new version ("theirs"):
+ *
+ *   conf/**, bin/setenv.sh   added or customized files are copied; files changed
+ *                            both locally and upstream are merged with diff3, and
+ *                            kept as they were (with the new default next to them
+ *                            as `<file>.new-default`) when that conflicts
+ *   lib/                     jars that are not part of the stock distribution
+ *   webapps/                 deployed applications; stock applications removed
+ *                            from the outgoing installation are removed again
+ *
+ * Without the stock archive of the outgoing version (not cached and not in
+ * the configs) every difference is carried over and flagged for review.
+ */
+const CONFIG_FILES = ["conf", "bin/setenv.sh"];
+const KEPT = "kept the local version, the new default is next to it as .new-default";
+
+function emptyReport(from, to) {
+  return { from, to, copied: [], merged: [], removed: [], attention: [] };
+}
+
+function exists(filePath) {
+  return Boolean(filePath) && fs.existsSync(filePath);
+}
+
+function sameContent(a, b) {
+  return exists(a) && exists(b) && fs.readFileSync(a).equals(fs.readFileSync(b));
+}
+
+/**
+ * Files below `dir` (or `dir` itself when it is a file), relative to `root`.
+ */
+function listFiles(root, dir) {
+  const full = path.join(root, dir);
+  if (!fs.existsSync(full)) {
+    return [];
+  }
+  if (!fs.statSync(full).isDirectory()) {
+    return [dir];
+  }
+  return fs
+    .readdirSync(full, { withFileTypes: true })
+    .flatMap((entry) =>
+      entry.isDirectory() ? listFiles(root, path.join(dir, entry.name)) : [path.join(dir, entry.name)]
+    );
+}
+
+function listEntries(dir) {
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+}
+
+async function copyInto(source, target) {
+  await runCommand(`sudo mkdir -p "${path.dirname(target)}"`);
+  await runCommand(`sudo rm -rf "${target}" && sudo cp -a "${source}" "${target}"`, {
+    description: `Carry ${source} over to ${target}`,
+  });
+}
+
+/**
+ * Three-way merges `mine` into `theirs` in place. The redirect runs as root
+ * too, since the staged tree belongs to root.
+ *
+ * @returns {Promise<boolean>} - false on conflicts, leaving `theirs` untouched.
+ * @throws {ExtractError} - When diff3 itself fails (exit status 2).
+ */
+async function mergeInto(mine, base, theirs) {
+  const merged = `${theirs}.merged`;
+  const status = await runCommand(`sudo sh -c 'diff3 -m "${mine}" "${base}" "${theirs}" > "${merged}"'; echo $?`, {
+    description: `Merge ${mine} into ${theirs}`,
+    dryRunResult: "0",
+  });
+  if (status === "0") {
+    await runCommand(`sudo mv "${merged}" "${theirs}"`);
+    return true;
+  }
+  await runCommand(`sudo rm -f "${merged}"`, { kind: "delete" });
+  if (status !== "1") {
+    throw new ExtractError(`🚨 Could not merge ${mine} into ${theirs}: diff3 exited with ${status || "no status"}.`);
+  }
+  return false;
+}
+
+/**
+ * Keeps the local file and puts the new stock file next to it for review.
+ */
+async function keepMine(mine, theirs) {
+  await runCommand(`sudo cp -a "${theirs}" "${theirs}.new-default"`);
+  await copyInto(mine, theirs);
+}
+
+async function carryConfigFile(relative, dirs, report) {
+  const mine = path.join(dirs.mine, relative);
+  const base = dirs.base && path.join(dirs.base, relative);
+  const theirs = path.join(dirs.theirs, relative);
+
+  if (!exists(theirs) && !exists(base)) {
+    await copyInto(mine, theirs);
+    report.copied.push(relative);
+  } else if (sameContent(mine, theirs) || sameContent(mine, base)) {
+    // Unchanged locally, or already what the new version ships: keep the new default
+  } else if (!dirs.base) {
+    await keepMine(mine, theirs);
+    report.attention.push({ path: relative, reason: `stock file of Tomcat ${report.from} unknown; ${KEPT}` });
+  } else if (!exists(base)) {
+    await keepMine(mine, theirs);
+    report.attention.push({ path: relative, reason: `Tomcat ${report.to} now ships this file; ${KEPT}` });
+  } else if (!exists(theirs)) {
+    await copyInto(mine, theirs);
+    report.attention.push({ path: relative, reason: `no longer shipped by Tomcat ${report.to}; carried over as is` });
+  } else if (sameContent(theirs, base)) {
+    await copyInto(mine, theirs);
+    report.copied.push(relative);
+  } else if (await mergeInto(mine, base, theirs)) {
+    report.merged.push(relative);
+  } else {
+    await keepMine(mine, theirs);
+    report.attention.push({ path: relative, reason: `changed locally and upstream with conflicts; ${KEPT}` });
+  }
+}
+
+async function carryLibraries(dirs, report) {
+  const stock = listEntries(path.join(dirs.base || dirs.theirs, "lib"));
+  for (const name of listEntries(path.join(dirs.mine, "lib"))) {
+    const relative = path.join("lib", name);
+    if (!stock.includes(name)) {
+      await copyInto(path.join(dirs.mine, relative), path.join(dirs.theirs, relative));
+      report.copied.push(relative);
+    } else if (dirs.base && !sameContent(path.join(dirs.mine, relative), path.join(dirs.base, relative))) {
+      report.attention.push({ path: relative, reason: "stock library was modified locally; the new version's copy is used" });
+    }
+  }
+}
+
+async function carryWebapps(dirs, report) {
+  const stock = listEntries(path.join(dirs.base || dirs.theirs, "webapps"));
+  const deployed = listEntries(path.join(dirs.mine, "webapps"));
+
+  for (const name of deployed.filter((entry) => !stock.includes(entry))) {
+    const relative = path.join("webapps", name);
+    await copyInto(path.join(dirs.mine, relative), path.join(dirs.theirs, relative));
+    report.copied.push(relative);
+  }
+  if (!dirs.base) {
+    return;
+  }
+  // Stock applications removed from the outgoing installation (e.g. examples, docs) stay removed
+  for (const name of stock.filter((entry) => !deployed.includes(entry))) {
+    const relative = path.join("webapps", name);
+    if (exists(path.join(dirs.theirs, relative))) {
+      await runCommand(`sudo rm -rf "${path.join(dirs.theirs, relative)}"`, { kind: "delete" });
+      report.removed.push(relative);
+    }
+  }
+}
+
+/**
+ * Unpacks the stock distribution of `version` for comparison, if its archive
+ * is cached or can be fetched from one of the configs.
+ *
+ * @returns {Promise<string | null>} - Directory with the stock files.
+ */
+async function unpackStock(version) {
+  let archive = cachedArchive("tomcat", version);
+  for (const kind of ["upgrade", "install"]) {
+    if (archive) break;
+    try {
+      archive = await fetchArtifact("tomcat", resolveDependency(loadConfig(kind), "tomcat", version));
+    } catch (error) {
+      // Not a candidate in this config, or not retrievable
+    }
+  }
+  if (!archive) {
+    logger.warn(`⚠️ Stock files of Tomcat ${version} are not available; local changes cannot be told from upstream ones.`);
+    return null;
+  }
+
+  const stockDir = path.join(paths.stagingDir(), `stock-tomcat-${version}`);
+  await runCommand(`sudo rm -rf ${stockDir} && sudo mkdir -p ${stockDir}`);
+  await asError(ExtractError, () => runCommand(`sudo tar -xzf "${archive}" -C ${stockDir} --strip-components=1`));
+  return stockDir;
+}
+
+function printReport(report, reportPath) {
+  logger.info(`📋 Carried over from Tomcat ${report.from} to ${report.to}:`);
+  const sections = [
+    ["copied", report.copied],
+    ["merged", report.merged],
+    ["removed", report.removed],
+  ];
+  for (const [label, entries] of sections) {
+    logger.info(`   ${label.padEnd(9)} ${entries.length ? entries.join(", ") : "-"}`);
+  }
+  if (report.attention.length) {
+    logger.info("⚠️ Needs manual attention:");
+    for (const { path: relative, reason } of report.attention) {
+      logger.info(`   - ${relative}: ${reason}`);
+    }
+  }
+  logger.info(`ℹ️ Report saved to ${reportPath}`);
+}
+
+/**
+ * Carries configuration, libraries and webapps from the outgoing Tomcat
+ * installation into the staged new one, and reports what it did.
+ *
+ * @param {string} fromVersion - Version being replaced.
+ * @param {string} toVersion - Version being staged.
+ * @param {string} stagedDir - Where the new version is unpacked.
+ * @returns {Promise<object | null>} - The report; `null` when there was nothing to carry over.
+ */
+async function carryTomcatCustomizations(fromVersion, toVersion, stagedDir) {
+  const mine = paths.tomcatDir(fromVersion);
+  if (!fromVersion || !fs.existsSync(mine)) {
+    return null;
+  }
+  if (isDryRun()) {
+    recordStep("command", `Carry conf/, lib/, webapps/ and bin/setenv.sh over from ${mine} to ${stagedDir}`);
+    return null;
+  }
+
+  logger.info(`📋 Carrying customizations over from Tomcat ${fromVersion}...`);
+  const base = await unpackStock(fromVersion);
+  const dirs = { mine, base, theirs: stagedDir };
+  const report = emptyReport(fromVersion, toVersion);
+  try {
+    for (const relative of CONFIG_FILES.flatMap((entry) => listFiles(mine, entry))) {
+      await carryConfigFile(relative, dirs, report);
+    }
+    await carryLibraries(dirs, report);
+    await carryWebapps(dirs, report);
+  } finally {
+    if (base) {
+      await runCommand(`sudo rm -rf ${base}`, { kind: "delete" });
+    }
+  }
+
+  const reportPath = path.join(paths.stateDir(), "reports", `tomcat-${fromVersion}-to-${toVersion}.json`);
+  await runCommand(`sudo mkdir -p ${path.dirname(reportPath)}`);
+  await writeFile(reportPath, `${JSON.stringify(report, null, 2)}\n`, { mode: "644" });
+  printReport(report, reportPath);
+  return { ...report, reportPath };
+}
+
+module.exports = { carryTomcatCustomizations };
@@ -0,0 +1,18 @@
+/**
+ * Apache Ant, from the Apache archive.
+ */
+module.exports = {
+  name: "ant",
+  label: "Ant",
+  directory: "apache-ant-{version}",
+  link: "ant",
+  urlTemplate: {
+    packageUrlUnix: "https://archive.apache.org/dist/ant/binaries/apache-ant-{version}-bin.tar.gz",
+    checksumUrl: "https://archive.apache.org/dist/ant/binaries/apache-ant-{version}-bin.tar.gz.sha512",
+    signatureUrl: "https://archive.apache.org/dist/ant/binaries/apache-ant-{version}-bin.tar.gz.asc",
+    gpgKeyUrl: "https://downloads.apache.org/ant/KEYS",
+  },
+  env: { ANT_HOME: "{home}" },
+  path: ["bin"],
+  check: "JAVA_HOME={javaHome} {dir}/bin/ant -version",
+};
@@ -0,0 +1,18 @@
+/**
+ * Gradle, from services.gradle.org; only published as a zip.
+ */
+module.exports = {
+  name: "gradle",
+  label: "Gradle",
+  directory: "gradle-{version}",
+  link: "gradle",
+  urlTemplate: {
+    packageUrlUnix: "https://services.gradle.org/distributions/gradle-{version}-bin.zip",
+    checksumUrl: "https://services.gradle.org/distributions/gradle-{version}-bin.zip.sha256",
+  },
+  archive: { format: "zip" },
+  packages: ["unzip"],
+  env: { GRADLE_HOME: "{home}" },
+  path: ["bin"],
+  check: "JAVA_HOME={javaHome} {dir}/bin/gradle --version --no-daemon",
+};
@@ -0,0 +1,218 @@
+const { readHostSettings, isUrl } = require("../settings");
+const { ConfigError } = require("../errors");
+
+/**
+ * Component definitions. Every managed tool is described by plain data and
+ * installed, staged, switched, backed up and removed by the same engine
+ * (see lifecycle.js):
+ *
+ *   name         key under `mave.dependencies`
+ *   label        name shown in messages
+ *   required     always installed (java, tomcat); other components only when configured
+ *   directory    install directory under the prefix, e.g. "apache-maven-{version}"
+ *   link         directory under the prefix holding the `current` link, e.g. "maven"
+ *   backups      backup directory under the prefix (default "<link>_backups")
+ *   urlTemplate  { packageUrlUnix, checksumUrl?, signatureUrl?, gpgKeyUrl? } for candidates
+ *                without a packageUrlUnix; {version} and {major} are filled in
+ *   archive      { format: "tar.gz" (default) or "zip" }; the top-level directory is stripped
+ *   packages     distribution packages needed to unpack it, e.g. ["unzip"]
+ *   env          variables exported to login shells; {home} is the `current` link
+ *   path         directories under {home} added to PATH
+ *   executables  globs under the install directory made executable, e.g. ["bin/*.sh"]
+ *   check        command run against a staged version before it replaces anything;
+ *                {dir} is the staged directory, {javaHome} the JDK it is going to run on
+ *   service      systemd unit running it, restarted on switches (built-in tomcat only)
+ *   carryOver    carries customizations over from the outgoing version (built-in tomcat only)
+ *
+ * Java, Tomcat, Maven, Gradle and Ant are built in. More can be defined
+ * under `mave.components.<name>` in the mavee config, in the same format;
+ * they are read and validated once per process.
+ */
+const BUILT_IN = {
+  java: require("./java"),
+  tomcat: require("./tomcat"),
+  maven: require("./maven"),
+  gradle: require("./gradle"),
+  ant: require("./ant"),
+};
+
+const DEFAULTS = { required: false, archive: { format: "tar.gz" }, packages: [], env: {}, path: [], executables: [] };
+const ARCHIVE_FORMATS = ["tar.gz", "zip"];
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+function withDefaults(name, definition) {
+  return {
+    ...DEFAULTS,
+    label: name,
+    link: name,
+    ...definition,
+    name,
+    backups: definition.backups || `${definition.link || name}_backups`,
+  };
+}
+
+let loaded = null;
+
+function loadDefinitions() {
+  let components;
+  try {
+    components = readHostSettings("components");
+  } catch (error) {
+    throw new ConfigError(`🚨 Could not read mave.components from the mavee config: ${error.message}`, { cause: error });
+  }
+  const issues = validateDefinitions(components);
+  if (issues.length) {
+    const lines = issues.map((issue) => `   - ${issue.path}: ${issue.message}`);
+    throw new ConfigError(`🚨 Invalid component definitions:\n${lines.join("\n")}`);
+  }
+
+  const all = {};
+  for (const [name, definition] of Object.entries(BUILT_IN)) {
+    all[name] = withDefaults(name, definition);
+  }
+  for (const [name, definition] of Object.entries(components)) {
+    all[name] = withDefaults(name, definition);
+  }
+  return all;
+}
+
+/**
+ * Every known definition, built-in ones first, with defaults filled in.
+ *
+ * @returns {Object<string, object>}
+ * @throws {ConfigError} - When `mave.components` cannot be read or is invalid.
+ */
+function definitions() {
+  if (!loaded) {
+    loaded = loadDefinitions();
+  }
+  return loaded;
+}
+
+/**
+ * @param {string} name - e.g. "java" or "maven".
+ * @returns {object}
+ * @throws {ConfigError} - For unknown components.
+ */
+function definitionFor(name) {
+  const definition = definitions()[name];
+  if (!definition) {
+    throw new ConfigError(`🚨 Unknown component "${name}"; expected one of: ${componentNames().join(", ")}.`);
+  }
+  return definition;
+}
+
+function componentNames() {
+  return Object.keys(definitions());
+}
+
+/**
+ * Fills `{placeholder}`s in a template; unknown ones are left as they are.
+ */
+function expandTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] === undefined ? match : values[key]));
+}
+
+/**
+ * Matches the install directories of a component (and, with `suffix`, its
+ * backups); the first group is the version.
+ */
+function directoryPattern(definition, suffix = "") {
+  const [before, after] = definition.directory
+    .split("{version}")
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`^${before}(.+?)${after}${suffix}$`);
+}
+
+/**
+ * The archive URLs of a candidate without a `packageUrlUnix`, from the
+ * component's `urlTemplate`; `null` when it has none.
+ */
+function templateUrls(definition, version) {
+  if (!definition.urlTemplate) {
+    return null;
+  }
+  const values = { version, major: String(version).split(".")[0] };
+  const urls = {};
+  for (const [key, template] of Object.entries(definition.urlTemplate)) {
+    urls[key] = expandTemplate(template, values);
+  }
+  return urls;
+}
+
+/**
+ * Checks the definitions under `mave.components`.
+ *
+ * @param {object} components - `mave.components`.
+ * @returns {{ path: string, message: string }[]}
+ */
+function validateDefinitions(components) {
+  const issues = [];
+  if (typeof components !== "object" || !components || Array.isArray(components)) {
+    return [{ path: "mave.components", message: "must map component names to definitions" }];
+  }
+  for (const [name, definition] of Object.entries(components)) {
+    const at = `mave.components.${name}`;
+    if (BUILT_IN[name]) {
+      issues.push({ path: at, message: "is built in and cannot be redefined" });
+      continue;
+    }
+    if (!NAME_PATTERN.test(name)) {
+      issues.push({ path: at, message: "must be named with lowercase letters, digits and dashes" });
+    }
+    if (typeof definition !== "object" || !definition || Array.isArray(definition)) {
+      issues.push({ path: at, message: "must be an object" });
+      continue;
+    }
+    const { directory } = definition;
+    if (typeof directory !== "string" || directory.includes("/") || directory.split("{version}").length !== 2) {
+      issues.push({ path: `${at}.directory`, message: 'must be a directory name with one {version}, e.g. "apache-maven-{version}"' });
+    }
+    for (const key of ["link", "backups"]) {
+      if (definition[key] !== undefined && !(typeof definition[key] === "string" && NAME_PATTERN.test(definition[key]))) {
+        issues.push({ path: `${at}.${key}`, message: "must be a directory name" });
+      }
+    }
+    for (const [key, template] of Object.entries(definition.urlTemplate || {})) {
+      const sample = expandTemplate(String(template), { version: "1.0.0", major: "1" });
+      if (!["packageUrlUnix", "checksumUrl", "signatureUrl", "gpgKeyUrl"].includes(key) || !isUrl(sample)) {
+        issues.push({ path: `${at}.urlTemplate.${key}`, message: "must be a packageUrlUnix, checksumUrl, signatureUrl or gpgKeyUrl URL template" });
+      }
+    }
+    const format = definition.archive && definition.archive.format;
+    if (format !== undefined && !ARCHIVE_FORMATS.includes(format)) {
+      issues.push({ path: `${at}.archive.format`, message: `must be one of: ${ARCHIVE_FORMATS.join(", ")}` });
+    }
+    for (const [variable, value] of Object.entries(definition.env || {})) {
+      if (!/^[A-Z_][A-Z0-9_]*$/.test(variable) || typeof value !== "string" || /["\n$`\\]/.test(value)) {
+        issues.push({ path: `${at}.env.${variable}`, message: "must be an upper-case variable name with a plain string value" });
+      }
+    }
+    for (const key of ["path", "executables", "packages"]) {
+      const value = definition[key];
+      if (value !== undefined && !(Array.isArray(value) && value.every((entry) => /^[\w.*+:/-]+$/.test(entry) && !entry.includes("..")))) {
+        issues.push({ path: `${at}.${key}`, message: "must be an array of relative paths or package names" });
+      }
+    }
+    if (definition.check !== undefined && (typeof definition.check !== "string" || definition.check.includes("\n"))) {
+      issues.push({ path: `${at}.check`, message: "must be a single-line command" });
+    }
+    for (const key of ["service", "carryOver", "required"]) {
+      if (definition[key] !== undefined) {
+        issues.push({ path: `${at}.${key}`, message: "is only supported by the built-in components" });
+      }
+    }
+  }
+  return issues;
+}
+
+module.exports = {
+  BUILT_IN,
+  definitions,
+  definitionFor,
+  componentNames,
+  expandTemplate,
+  directoryPattern,
+  templateUrls,
+  validateDefinitions,
+};
@@ -0,0 +1,14 @@
+/**
+ * The JDK. Archives come from the candidate's `packageUrlUnix` or its
+ * vendor's release metadata (see resolvers/java.js).
+ */
+module.exports = {
+  name: "java",
+  label: "Java",
+  required: true,
+  directory: "openjdk-{version}",
+  link: "java",
+  env: { JAVA_HOME: "{home}" },
+  path: ["bin"],
+  check: "{dir}/bin/java -version",
+};
@@ -0,0 +1,18 @@
+/**
+ * Apache Maven, from the Apache archive; `"maven": "3.9.9"` is enough.
+ */
+module.exports = {
+  name: "maven",
+  label: "Maven",
+  directory: "apache-maven-{version}",
+  link: "maven",
+  urlTemplate: {
+    packageUrlUnix: "https://archive.apache.org/dist/maven/maven-{major}/{version}/binaries/apache-maven-{version}-bin.tar.gz",
+    checksumUrl: "https://archive.apache.org/dist/maven/maven-{major}/{version}/binaries/apache-maven-{version}-bin.tar.gz.sha512",
+    signatureUrl: "https://archive.apache.org/dist/maven/maven-{major}/{version}/binaries/apache-maven-{version}-bin.tar.gz.asc",
+    gpgKeyUrl: "https://downloads.apache.org/maven/KEYS",
+  },
+  env: { MAVEN_HOME: "{home}" },
+  path: ["bin"],
+  check: "JAVA_HOME={javaHome} {dir}/bin/mvn --version",
+};
@@ -0,0 +1,18 @@
+/**
+ * Apache Tomcat, run by the `tomcat.service` unit (see service.js). Its
+ * conf/, lib/ and webapps/ customizations are carried over on upgrades (see
+ * carryover.js). Archives come from the candidate's `packageUrlUnix` or a
+ * release range (see resolvers/tomcat.js).
+ */
+module.exports = {
+  name: "tomcat",
+  label: "Tomcat",
+  required: true,
+  directory: "tomcat-{version}",
+  link: "tomcat",
+  env: { CATALINA_HOME: "{home}" },
+  executables: ["bin/*.sh"],
+  check: "JAVA_HOME={javaHome} CATALINA_HOME={dir} {dir}/bin/catalina.sh configtest",
+  service: "tomcat",
+  carryOver: true,
+};
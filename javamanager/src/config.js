@@ -0,0 +1,648 @@
+const fs = require("fs");
+const path = require("path");
+const { writeFile } = require("./executor");
+const { compareVersions } = require("./versions");
+const { parseDuration, parseCron, parseWindow } = require("./schedule");
+const { ConfigError } = require("./errors");
+const { isUrl } = require("./settings");
+const { VENDORS } = require("./resolvers/java");
+const { parseRange } = require("./resolvers/tomcat");
+const { BUILT_IN, definitions, templateUrls, validateDefinitions } = require("./components");
+
+/**
+ * The mavee config files (schema version 2):
+ *
+ *   mave.schemaVersion               2
+ *   mave.mirror / paths / download   host settings, see settings.js
+ *   mave.backups                     backup retention, see backups.js
+ *   mave.healthCheck                 upgrade health gate, see health.js
+ *   mave.recovery.onInterrupted      "revert" or "resume" for --unattended runs, see recovery.js
+ *   mave.service                     tomcat.service settings, see service.js
+ *   mave.environment.environmentD    also write /etc/environment.d, see environment.js
+ *   mave.daemon                      updater daemon schedule and maintenance windows, see daemon.js
+ *   mave.logging                     level, format ("text"/"json") and log file, see logger.js
+ *   mave.api                         `serve` listen address, socket and token file, see api.js
+ *   mave.manifest.url                remote manifest whose dependencies replace the upgrade config's, see manifest.js
+ *   mave.platform                    package manager override and extra packages, see platform.js
+ *   mave.components.<name>           definitions of components beyond the built-in ones, see components/index.js
+ *   mave.dependencies.<component>    java and tomcat are required; maven, gradle, ant and components defined
+ *                                    under mave.components are installed and upgraded when listed
+ *     default                        channel name or candidate version used when none is given
+ *     channels                       channel name -> candidate version, e.g. { "lts": "17", "latest": "21" }
+ *     candidates                     version -> { packageUrlUnix, checksumUrl?, sha256?, sha512?,
+ *                                                 checksumAlgorithm?, signatureUrl?, gpgKeyUrl?, allowUnverified? };
+ *                                    archives without a checksum are refused unless allowUnverified is true
+ *                                    or, for java, major version -> { vendor, metadataUrl? } with vendor
+ *                                    "temurin", "corretto", "zulu" or "openjdk" to take the latest GA
+ *                                    build (see resolvers/java.js); packageUrlUnix still wins when set
+ *                                    or, for tomcat, a release or range like "10.1.x" or ">=10.1.30 <11"
+ *                                    -> { distUrl? } to take the newest matching release (see resolvers/tomcat.js)
+ *   mave.dependencies.java           may also be just { vendor, version }
+ *                                    or, for components with a urlTemplate (maven, gradle, ant), version -> {}
+ *   mave.dependencies.tomcat         may also be just a range, e.g. "10.1.x"
+ *   mave.dependencies.<tool>         may also be just a version, e.g. "maven": "3.9.9"
+ *   mave.resolvers.java.<vendor>     { metadataUrl } release metadata source, e.g. a mirror or file:// fixture
+ *   mave.resolvers.tomcat.distUrls   Apache dist directories tried in order (default dlcdn, then archive.apache.org)
+ *
+ * Files in the older flat style (`version`, `packageUrlUnix`, `version19`,
+ * `packageUrlUnix19`, ...) are migrated on read; `config migrate` rewrites them.
+ */
+const SCHEMA_VERSION = 2;
+const CONFIG_FILES = {
+  install: "mavee_config_install.json",
+  upgrade: "mavee_config_upgrade.json",
+};
+const REQUIRED = Object.keys(BUILT_IN).filter((component) => BUILT_IN[component].required);
+const URL_KEYS = ["packageUrlUnix", "checksumUrl", "signatureUrl", "gpgKeyUrl", "metadataUrl", "distUrl"];
+
+// Release manifest in effect for the upgrade config, see manifest.js
+let manifest = null;
+
+/**
+ * Makes the dependencies of a validated manifest replace those of the upgrade config.
+ *
+ * @param {object | null} validated - From `validateManifest`-checked JSON; null to stop using one.
+ */
+function useManifest(validated) {
+  manifest = validated;
+}
+
+function configPath(kind) {
+  return path.join(__dirname, CONFIG_FILES[kind]);
+}
+
+function readRawConfig(kind) {
+  const filePath = configPath(kind);
+  if (!fs.existsSync(filePath)) {
+    throw new ConfigError(`🚨 Configuration file not found: ${filePath}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    throw new ConfigError(`🚨 ${filePath} is not valid JSON: ${error.message}`);
+  }
+}
+
+function isLegacy(raw) {
+  return Boolean(raw && raw.mave && raw.mave.schemaVersion === undefined);
+}
+
+/**
+ * Turns a flat dependency (`version`, `packageUrlUnix`, checksum keys and
+ * numbered `versionNN`/`packageUrlUnixNN` alternates) into candidates.
+ */
+function migrateDependency(legacy) {
+  const { version, packageUrlUnix, ...rest } = legacy;
+  const primary = { packageUrlUnix };
+  const alternates = {};
+
+  for (const [key, value] of Object.entries(rest)) {
+    const numbered = key.match(/^(version|packageUrlUnix)(\d+)$/);
+    if (numbered) {
+      alternates[numbered[2]] = { ...alternates[numbered[2]], [numbered[1]]: value };
+    } else {
+      primary[key] = value;
+    }
+  }
+
+  const candidates = { [version]: primary };
+  for (const alternate of Object.values(alternates)) {
+    if (alternate.version) {
+      candidates[alternate.version] = { packageUrlUnix: alternate.packageUrlUnix };
+    }
+  }
+  const newest = Object.keys(candidates).sort(compareVersions).pop();
+  return { default: version, channels: { latest: newest }, candidates };
+}
+
+/**
+ * Expands `{ vendor, version }`, or a bare version or Tomcat range like
+ * "10.1.x", into a dependency with that one candidate.
+ */
+function expandShorthand(dependency) {
+  if (typeof dependency === "string") {
+    return { default: dependency, candidates: { [dependency]: {} } };
+  }
+  if (!isPlainObject(dependency) || dependency.candidates !== undefined || !dependency.vendor) {
+    return dependency;
+  }
+  const { vendor, version, ...candidate } = dependency;
+  return { default: version, candidates: { [version]: { vendor, ...candidate } } };
+}
+
+/**
+ * @param {object} raw - A parsed config file in either style.
+ * @returns {object} - The same config in the current schema.
+ */
+function migrateConfig(raw) {
+  if (!isLegacy(raw)) {
+    if (raw && raw.mave && isPlainObject(raw.mave.dependencies)) {
+      const dependencies = {};
+      for (const [component, dependency] of Object.entries(raw.mave.dependencies)) {
+        dependencies[component] = expandShorthand(dependency);
+      }
+      return { ...raw, mave: { ...raw.mave, dependencies } };
+    }
+    return raw;
+  }
+  const { dependencies = {}, ...settings } = raw.mave;
+  const migrated = {};
+  for (const [component, dependency] of Object.entries(dependencies)) {
+    migrated[component] = dependency && typeof dependency === "object" ? migrateDependency(dependency) : dependency;
+  }
+  return { ...raw, mave: { schemaVersion: SCHEMA_VERSION, ...settings, dependencies: migrated } };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function validateCandidate(candidate, at, issues, component, version, definition) {
+  if (!isPlainObject(candidate)) {
+    issues.push({ path: at, message: "must be an object" });
+    return;
+  }
+  if (candidate.vendor !== undefined) {
+    if (component !== "java") {
+      issues.push({ path: `${at}.vendor`, message: "is only supported for java" });
+    } else if (!VENDORS[candidate.vendor]) {
+      issues.push({ path: `${at}.vendor`, message: `must be one of: ${Object.keys(VENDORS).join(", ")}` });
+    }
+  }
+  if (candidate.distUrl !== undefined && component !== "tomcat") {
+    issues.push({ path: `${at}.distUrl`, message: "is only supported for tomcat" });
+  }
+  if (candidate.packageUrlUnix === undefined && candidate.vendor === undefined) {
+    if (component === "java") {
+      issues.push({ path: `${at}.packageUrlUnix`, message: "or vendor is required" });
+    } else if (component !== "tomcat") {
+      if (!(definition && definition.urlTemplate)) {
+        issues.push({ path: `${at}.packageUrlUnix`, message: "is required" });
+      }
+    } else if (!parseRange(version)) {
+      issues.push({
+        path: `${at}.packageUrlUnix`,
+        message: 'is required unless the version is a release or range like "10.1.x" or ">=10.1.30 <11"',
+      });
+    }
+  }
+  for (const key of URL_KEYS) {
+    if (candidate[key] !== undefined && !isUrl(candidate[key])) {
+      issues.push({ path: `${at}.${key}`, message: `must be an http(s) or file:// URL, got ${JSON.stringify(candidate[key])}` });
+    }
+  }
+  if (candidate.sha256 !== undefined && !/^[0-9a-fA-F]{64}$/.test(candidate.sha256)) {
+    issues.push({ path: `${at}.sha256`, message: "must be 64 hex characters" });
+  }
+  if (candidate.sha512 !== undefined && !/^[0-9a-fA-F]{128}$/.test(candidate.sha512)) {
+    issues.push({ path: `${at}.sha512`, message: "must be 128 hex characters" });
+  }
+  if (candidate.checksumAlgorithm !== undefined && !["sha256", "sha512"].includes(candidate.checksumAlgorithm)) {
+    issues.push({ path: `${at}.checksumAlgorithm`, message: 'must be "sha256" or "sha512"' });
+  }
+  if (candidate.allowUnverified !== undefined && typeof candidate.allowUnverified !== "boolean") {
+    issues.push({ path: `${at}.allowUnverified`, message: "must be true or false" });
+  }
+}
+
+function validateDependency(dependency, at, issues, component, definition) {
+  if (!isPlainObject(dependency)) {
+    issues.push({ path: at, message: "must be an object" });
+    return;
+  }
+
+  const { candidates, channels = {} } = dependency;
+  if (!isPlainObject(candidates) || !Object.keys(candidates).length) {
+    issues.push({ path: `${at}.candidates`, message: "must list at least one version" });
+    return;
+  }
+  for (const [version, candidate] of Object.entries(candidates)) {
+    validateCandidate(candidate, `${at}.candidates.${version}`, issues, component, version, definition);
+  }
+
+  if (!isPlainObject(channels)) {
+    issues.push({ path: `${at}.channels`, message: "must map channel names to candidate versions" });
+  } else {
+    for (const [channel, version] of Object.entries(channels)) {
+      if (!candidates[version]) {
+        issues.push({ path: `${at}.channels.${channel}`, message: `refers to ${JSON.stringify(version)}, which is not a candidate` });
+      }
+    }
+  }
+
+  if (dependency.default === undefined) {
+    issues.push({ path: `${at}.default`, message: "is required" });
+  } else if (!candidates[dependency.default] && !(isPlainObject(channels) && channels[dependency.default])) {
+    issues.push({ path: `${at}.default`, message: `${JSON.stringify(dependency.default)} is neither a channel nor a candidate` });
+  }
+}
+
+function validateDependencies(dependencies, at, issues, known) {
+  for (const [component, dependency] of Object.entries(dependencies)) {
+    if (!isPlainObject(known[component])) {
+      issues.push({ path: `${at}.${component}`, message: `is not a component; use one of: ${Object.keys(known).join(", ")}` });
+      continue;
+    }
+    validateDependency(dependency, `${at}.${component}`, issues, component, known[component]);
+  }
+}
+
+function validateHealthCheck(healthCheck, issues) {
+  if (healthCheck === undefined) {
+    return;
+  }
+  if (!isPlainObject(healthCheck)) {
+    issues.push({ path: "mave.healthCheck", message: "must be an object" });
+    return;
+  }
+  for (const key of ["timeoutMs", "intervalMs"]) {
+    if (healthCheck[key] !== undefined && !(Number.isInteger(healthCheck[key]) && healthCheck[key] >= 0)) {
+      issues.push({ path: `mave.healthCheck.${key}`, message: "must be a non-negative integer" });
+    }
+  }
+  if (healthCheck.systemd !== undefined && typeof healthCheck.systemd !== "boolean") {
+    issues.push({ path: "mave.healthCheck.systemd", message: "must be true or false" });
+  }
+  const { port } = healthCheck;
+  if (port !== undefined && typeof port !== "boolean" && !(Number.isInteger(port) && port > 0 && port < 65536)) {
+    issues.push({ path: "mave.healthCheck.port", message: "must be true, false or a port number" });
+  }
+  if (healthCheck.url && !(isUrl(healthCheck.url) && new URL(healthCheck.url).protocol !== "file:")) {
+    issues.push({ path: "mave.healthCheck.url", message: `must be an http(s) URL, got ${JSON.stringify(healthCheck.url)}` });
+  }
+  const { expectedStatus } = healthCheck;
+  if (expectedStatus !== undefined && !(Number.isInteger(expectedStatus) && expectedStatus >= 100 && expectedStatus < 600)) {
+    issues.push({ path: "mave.healthCheck.expectedStatus", message: "must be an HTTP status code" });
+  }
+  if (healthCheck.canary !== undefined && typeof healthCheck.canary !== "boolean") {
+    issues.push({ path: "mave.healthCheck.canary", message: "must be true or false" });
+  }
+  const offset = healthCheck.canaryPortOffset;
+  if (offset !== undefined && !(Number.isInteger(offset) && offset > 0 && offset < 65536)) {
+    issues.push({ path: "mave.healthCheck.canaryPortOffset", message: "must be a positive integer below 65536" });
+  }
+}
+
+function validateService(service, issues) {
+  if (service === undefined) {
+    return;
+  }
+  if (!isPlainObject(service)) {
+    issues.push({ path: "mave.service", message: "must be an object" });
+    return;
+  }
+  for (const key of ["user", "group"]) {
+    if (service[key] !== undefined && !/^[a-z_][a-z0-9_-]*\$?$/i.test(service[key])) {
+      issues.push({ path: `mave.service.${key}`, message: "must be a valid account name" });
+    }
+  }
+  for (const key of ["catalinaOpts", "javaOpts", "memoryHigh", "memoryMax"]) {
+    if (service[key] !== undefined && (typeof service[key] !== "string" || /["\n]/.test(service[key]))) {
+      issues.push({ path: `mave.service.${key}`, message: "must be a single-line string without double quotes" });
+    }
+  }
+  for (const key of ["memoryHigh", "memoryMax"]) {
+    if (service[key] && !/^(\d+[KMGT]?|\d+%|infinity)$/.test(service[key])) {
+      issues.push({ path: `mave.service.${key}`, message: 'must be a size like "2G", a percentage or "infinity"' });
+    }
+  }
+  for (const key of ["limitNOFILE", "restartSec"]) {
+    if (service[key] !== undefined && !(Number.isInteger(service[key]) && service[key] >= 0)) {
+      issues.push({ path: `mave.service.${key}`, message: "must be a non-negative integer" });
+    }
+  }
+  const restartPolicies = ["no", "always", "on-success", "on-failure", "on-abnormal", "on-abort", "on-watchdog"];
+  if (service.restart !== undefined && !restartPolicies.includes(service.restart)) {
+    issues.push({ path: "mave.service.restart", message: `must be one of: ${restartPolicies.join(", ")}` });
+  }
+  if (service.protectSystem !== undefined && ![false, true, "full", "strict"].includes(service.protectSystem)) {
+    issues.push({ path: "mave.service.protectSystem", message: 'must be false, true, "full" or "strict"' });
+  }
+  if (service.privateTmp !== undefined && typeof service.privateTmp !== "boolean") {
+    issues.push({ path: "mave.service.privateTmp", message: "must be true or false" });
+  }
+}
+
+function validateDaemon(daemon, issues) {
+  if (daemon === undefined) {
+    return;
+  }
+  if (!isPlainObject(daemon)) {
+    issues.push({ path: "mave.daemon", message: "must be an object" });
+    return;
+  }
+  const checks = [
+    ["interval", parseDuration],
+    ["schedule", parseCron],
+  ];
+  for (const [key, parse] of checks) {
+    if (daemon[key] === undefined || daemon[key] === "") {
+      continue;
+    }
+    try {
+      parse(daemon[key]);
+    } catch (error) {
+      issues.push({ path: `mave.daemon.${key}`, message: error.message });
+    }
+  }
+  const windows = daemon.maintenanceWindows;
+  if (windows === undefined) {
+    return;
+  }
+  if (!Array.isArray(windows)) {
+    issues.push({ path: "mave.daemon.maintenanceWindows", message: "must be an array" });
+    return;
+  }
+  windows.forEach((window, i) => {
+    try {
+      if (!isPlainObject(window)) {
+        throw new Error('must be an object like { "days": "sat,sun", "start": "02:00", "end": "05:00" }');
+      }
+      parseWindow(window);
+    } catch (error) {
+      issues.push({ path: `mave.daemon.maintenanceWindows[${i}]`, message: error.message });
+    }
+  });
+}
+
+/**
+ * Checks a release manifest: `{ schemaVersion: 2, dependencies: { java, tomcat } }`
+ * with each dependency in the same shape as in the config files.
+ *
+ * @returns {{ path: string, message: string }[]} - Empty when the manifest is valid.
+ */
+function validateManifest(manifest) {
+  if (!isPlainObject(manifest)) {
+    return [{ path: "manifest", message: "must be a JSON object" }];
+  }
+  const issues = [];
+  if (manifest.schemaVersion !== SCHEMA_VERSION) {
+    issues.push({ path: "manifest.schemaVersion", message: `must be ${SCHEMA_VERSION}` });
+  }
+  if (!isPlainObject(manifest.dependencies)) {
+    issues.push({ path: "manifest.dependencies", message: "is required and must be an object" });
+    return issues;
+  }
+  for (const component of REQUIRED) {
+    if (manifest.dependencies[component] === undefined) {
+      issues.push({ path: `manifest.dependencies.${component}`, message: "is required" });
+    }
+  }
+  validateDependencies(manifest.dependencies, "manifest.dependencies", issues, definitions());
+  return issues;
+}
+
+/**
+ * Checks a config against the current schema.
+ *
+ * @param {object} config - A parsed (and migrated) config file.
+ * @returns {{ path: string, message: string }[]} - Empty when the config is valid.
+ */
+function validateConfig(config) {
+  const issues = [];
+  if (!isPlainObject(config) || !isPlainObject(config.mave)) {
+    return [{ path: "mave", message: "is required and must be an object" }];
+  }
+  const { mave } = config;
+
+  if (mave.schemaVersion !== SCHEMA_VERSION) {
+    issues.push({ path: "mave.schemaVersion", message: `must be ${SCHEMA_VERSION}` });
+  }
+  if (mave.mirror !== undefined && typeof mave.mirror !== "string") {
+    issues.push({ path: "mave.mirror", message: "must be a directory path" });
+  }
+  for (const key of ["root", "prefix", "cache"]) {
+    const value = mave.paths && mave.paths[key];
+    if (value !== undefined && !(typeof value === "string" && path.isAbsolute(value))) {
+      issues.push({ path: `mave.paths.${key}`, message: "must be an absolute path" });
+    }
+  }
+  for (const key of ["retries", "backoffMs", "timeoutMs"]) {
+    const value = mave.download && mave.download[key];
+    if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+      issues.push({ path: `mave.download.${key}`, message: "must be a non-negative integer" });
+    }
+  }
+  for (const key of ["keep", "maxAgeDays"]) {
+    const value = mave.backups && mave.backups[key];
+    if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+      issues.push({ path: `mave.backups.${key}`, message: "must be a non-negative integer" });
+    }
+  }
+  validateHealthCheck(mave.healthCheck, issues);
+  validateService(mave.service, issues);
+  validateDaemon(mave.daemon, issues);
+  const logging = mave.logging || {};
+  if (logging.level !== undefined && !["error", "warn", "info", "debug"].includes(logging.level)) {
+    issues.push({ path: "mave.logging.level", message: 'must be "error", "warn", "info" or "debug"' });
+  }
+  if (logging.format !== undefined && !["text", "json"].includes(logging.format)) {
+    issues.push({ path: "mave.logging.format", message: 'must be "text" or "json"' });
+  }
+  if (logging.file && !(typeof logging.file === "string" && path.isAbsolute(logging.file))) {
+    issues.push({ path: "mave.logging.file", message: "must be an absolute path" });
+  }
+  if (mave.api !== undefined) {
+    if (!isPlainObject(mave.api)) {
+      issues.push({ path: "mave.api", message: "must be an object" });
+    } else {
+      if (mave.api.listen !== undefined && !/^(\[[^\]]+\]|[^:]+):\d+$|^\d+$/.test(String(mave.api.listen))) {
+        issues.push({ path: "mave.api.listen", message: 'must be "host:port" on a loopback address, e.g. "127.0.0.1:8787"' });
+      }
+      for (const key of ["socket", "tokenFile"]) {
+        if (mave.api[key] && !(typeof mave.api[key] === "string" && path.isAbsolute(mave.api[key]))) {
+          issues.push({ path: `mave.api.${key}`, message: "must be an absolute path" });
+        }
+      }
+    }
+  }
+  const manifestUrl = mave.manifest && mave.manifest.url;
+  if (manifestUrl && !isUrl(manifestUrl)) {
+    issues.push({ path: "mave.manifest.url", message: `must be an http(s) or file:// URL, got ${JSON.stringify(manifestUrl)}` });
+  }
+  const platform = mave.platform || {};
+  const packageManagers = ["auto", "dnf", "yum", "apt", "zypper"];
+  if (platform.packageManager !== undefined && !packageManagers.includes(platform.packageManager)) {
+    issues.push({ path: "mave.platform.packageManager", message: `must be one of: ${packageManagers.join(", ")}` });
+  }
+  if (
+    platform.packages !== undefined &&
+    !(Array.isArray(platform.packages) && platform.packages.every((pkg) => /^[\w.+:-]+$/.test(pkg)))
+  ) {
+    issues.push({ path: "mave.platform.packages", message: "must be an array of package names" });
+  }
+  const javaResolvers = (mave.resolvers && mave.resolvers.java) || {};
+  for (const [vendor, source] of Object.entries(javaResolvers)) {
+    if (!VENDORS[vendor]) {
+      issues.push({ path: `mave.resolvers.java.${vendor}`, message: `is not a vendor; use one of: ${Object.keys(VENDORS).join(", ")}` });
+    } else if (!isPlainObject(source) || (source.metadataUrl !== undefined && !isUrl(source.metadataUrl))) {
+      issues.push({ path: `mave.resolvers.java.${vendor}`, message: "must be { metadataUrl } with an http(s) or file:// URL" });
+    }
+  }
+  const distUrls = mave.resolvers && mave.resolvers.tomcat && mave.resolvers.tomcat.distUrls;
+  if (distUrls !== undefined && !(Array.isArray(distUrls) && distUrls.length && distUrls.every(isUrl))) {
+    issues.push({ path: "mave.resolvers.tomcat.distUrls", message: "must be a list of http(s) or file:// URLs" });
+  }
+  if (mave.components !== undefined) {
+    issues.push(...validateDefinitions(mave.components));
+  }
+  const environmentD = mave.environment && mave.environment.environmentD;
+  if (environmentD !== undefined && typeof environmentD !== "boolean") {
+    issues.push({ path: "mave.environment.environmentD", message: "must be true or false" });
+  }
+  const onInterrupted = mave.recovery && mave.recovery.onInterrupted;
+  if (onInterrupted !== undefined && !["resume", "revert"].includes(onInterrupted)) {
+    issues.push({ path: "mave.recovery.onInterrupted", message: 'must be "resume" or "revert"' });
+  }
+
+  if (!isPlainObject(mave.dependencies)) {
+    issues.push({ path: "mave.dependencies", message: "is required and must be an object" });
+    return issues;
+  }
+  for (const component of REQUIRED) {
+    if (mave.dependencies[component] === undefined) {
+      issues.push({ path: `mave.dependencies.${component}`, message: "is required" });
+    }
+  }
+  // The config's own definitions, so `config validate` reports their issues instead of failing on them
+  validateDependencies(mave.dependencies, "mave.dependencies", issues, { ...BUILT_IN, ...(mave.components || {}) });
+  return issues;
+}
+
+function formatIssues(filePath, issues) {
+  return [`🚨 Invalid configuration ${filePath}:`, ...issues.map((issue) => `   - ${issue.path}: ${issue.message}`)].join(
+    "\n"
+  );
+}
+
+/**
+ * Reads, migrates and validates one of the config files.
+ *
+ * @param {"install"|"upgrade"} kind
+ * @returns {object}
+ * @throws {ConfigError} - Listing every invalid entry.
+ */
+function loadConfig(kind) {
+  const config = migrateConfig(readRawConfig(kind));
+  const issues = validateConfig(config);
+  if (issues.length) {
+    throw new ConfigError(formatIssues(configPath(kind), issues));
+  }
+  if (kind === "upgrade" && manifest) {
+    config.mave.dependencies = { ...config.mave.dependencies, ...manifest.dependencies };
+  }
+  return config;
+}
+
+/**
+ * Picks a candidate by channel name or version.
+ *
+ * @param {object} config - From `loadConfig`.
+ * @param {string} component - "java", "tomcat" or another component under `mave.dependencies`.
+ * @param {string} [selector] - Channel or version; the dependency's `default` when omitted.
+ * @returns {object} - The candidate plus its `version`, in the shape fetchArtifact expects.
+ */
+function resolveDependency(config, component, selector) {
+  const dependency = config.mave.dependencies[component];
+  const wanted = selector || dependency.default;
+  const version = (dependency.channels || {})[wanted] || wanted;
+  const candidate = dependency.candidates[version];
+  if (!candidate) {
+    const choices = [...Object.keys(dependency.channels || {}), ...Object.keys(dependency.candidates)];
+    throw new ConfigError(`🚨 No ${component} candidate "${wanted}" in the config (choose from: ${choices.join(", ")}).`);
+  }
+  if (candidate.packageUrlUnix === undefined && !candidate.vendor) {
+    return { version, ...templateUrls(definitions()[component], version), ...candidate };
+  }
+  return { version, ...candidate };
+}
+
+/**
+ * Loads a config file and resolves Java, Tomcat and every other component it lists.
+ *
+ * @param {"install"|"upgrade"} kind
+ * @param {Object<string, string>} [selectors] - Channels or versions per component, e.g. from `--java 20`.
+ * @returns {{ java: object, tomcat: object, tools: Object<string, object>, mirror: string | undefined }}
+ */
+function readSelection(kind, selectors = {}) {
+  const config = loadConfig(kind);
+  const tools = {};
+  for (const component of Object.keys(config.mave.dependencies)) {
+    if (!REQUIRED.includes(component)) {
+      tools[component] = resolveDependency(config, component, selectors[component]);
+    }
+  }
+  return {
+    java: resolveDependency(config, "java", selectors.java),
+    tomcat: resolveDependency(config, "tomcat", selectors.tomcat),
+    tools,
+    mirror: config.mave.mirror,
+  };
+}
+
+/**
+ * `java-manager config validate`: checks both config files and reports every
+ * invalid entry with its path. Returns false when anything is invalid.
+ *
+ * @param {{ json?: boolean }} [options]
+ * @returns {Promise<boolean>}
+ */
+async function validateCommand(options = {}) {
+  const results = Object.keys(CONFIG_FILES).map((kind) => {
+    const file = configPath(kind);
+    try {
+      const raw = readRawConfig(kind);
+      return { file, legacy: isLegacy(raw), issues: validateConfig(migrateConfig(raw)) };
+    } catch (error) {
+      return { file, legacy: false, issues: [{ path: "(file)", message: error.message.replace(/^🚨 /, "") }] };
+    }
+  });
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+  } else {
+    for (const { file, legacy, issues } of results) {
+      if (issues.length) {
+        console.error(formatIssues(file, issues));
+      } else {
+        console.log(`✅ ${file} is valid.`);
+      }
+      if (legacy) {
+        console.warn(`⚠️ ${file} uses the old flat key style; run \`java-manager config migrate\` to rewrite it.`);
+      }
+    }
+  }
+  return results.every((result) => !result.issues.length);
+}
+
+/**
+ * `java-manager config migrate`: rewrites old-style config files in the
+ * current schema, keeping the original next to it as `<file>.bak`.
+ */
+async function migrateCommand() {
+  for (const kind of Object.keys(CONFIG_FILES)) {
+    const file = configPath(kind);
+    const raw = readRawConfig(kind);
+    if (!isLegacy(raw)) {
+      console.log(`✅ ${file} already uses schema version ${SCHEMA_VERSION}.`);
+      continue;
+    }
+    await writeFile(`${file}.bak`, fs.readFileSync(file, "utf-8"), { sudo: false });
+    await writeFile(file, `${JSON.stringify(migrateConfig(raw), null, 2)}\n`, { sudo: false });
+    console.log(`✅ Migrated ${file} (original kept as ${path.basename(file)}.bak).`);
+  }
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  configPath,
+  migrateConfig,
+  validateConfig,
+  validateManifest,
+  useManifest,
+  loadConfig,
+  resolveDependency,
+  readSelection,
+  validateCommand,
+  migrateCommand,
+};
@@ -0,0 +1,151 @@
+const { readHostSettings } = require("./settings");
+const { readSelection } = require("./config");
+const { upgrade, resolveCandidates } = require("./upgrade");
+const { definitionFor } = require("./components");
+const { guardInterrupted } = require("./recovery");
+const { withLock } = require("./lock");
+const { refreshManifest } = require("./manifest");
+const { parseDuration, parseCron, nextCronRun, parseWindow, inWindow, nextWindowStart } = require("./schedule");
+const logger = require("./logger");
+const { errorSummary } = require("./errors");
+
+/**
+ * `java-manager daemon`: stays resident and upgrades to the versions the
+ * upgrade config selects. Configured under `mave.daemon`:
+ *
+ *   interval            time between checks, e.g. "30m" or "6h" (default "1h")
+ *   schedule            cron expression used instead of `interval`, e.g. "0 * * * *"
+ *   maintenanceWindows  [{ days: "sat,sun", start: "02:00", end: "05:00" }, ...];
+ *                       upgrades found outside them wait for the next one to open.
+ *                       Empty means upgrades may run at any time.
+ *
+ * Each check holds the run lock, and first recovers an operation a previous
+ * run left interrupted. SIGTERM lets a running upgrade finish (or revert
+ * itself) before the daemon exits.
+ */
+const DEFAULT_DAEMON = { interval: "1h", schedule: "", maintenanceWindows: [] };
+// setTimeout cannot wait longer than this in one go
+const MAX_SLEEP_MS = 2 ** 31 - 1;
+
+function daemonSettings(overrides = {}) {
+  const settings = { ...DEFAULT_DAEMON, ...readHostSettings("daemon") };
+  if (overrides.interval) {
+    settings.interval = overrides.interval;
+    settings.schedule = "";
+  }
+  if (overrides.schedule) {
+    settings.schedule = overrides.schedule;
+  }
+  return settings;
+}
+
+/**
+ * What the upgrade config (or its manifest) asks for that is not installed yet.
+ *
+ * @returns {Promise<string[]>} - e.g. ["Java 18 → 21"]; empty when up to date.
+ */
+async function pendingUpgrades() {
+  await refreshManifest();
+  // Tomcat ranges and vendor releases only say which build is wanted once they are looked up
+  const candidates = await resolveCandidates(readSelection("upgrade"));
+  return candidates
+    .filter(({ changed }) => changed)
+    .map(({ component, dependency, current }) => `${definitionFor(component).label} ${current || "(none)"} → ${dependency.version}`);
+}
+
+/**
+ * One scheduled check.
+ *
+ * @returns {Promise<Date | null>} - When a maintenance window opens, if an upgrade has to wait for it.
+ */
+async function runCheck(windows) {
+  let deferredUntil = null;
+  logger.debug(`🔎 Check ${logger.beginRun()} started.`);
+  try {
+    await withLock("daemon", async () => {
+      await guardInterrupted({ unattended: true });
+
+      const pending = await pendingUpgrades();
+      if (!pending.length) {
+        logger.info("✅ Java, Tomcat and the other components are up to date.");
+        return;
+      }
+      logger.info(`⬆️ Upgrade available: ${pending.join(", ")}`);
+      if (windows.length && !windows.some((window) => inWindow(window))) {
+        deferredUntil = nextWindowStart(windows);
+        logger.info(`⏸️ Outside the maintenance windows; deferring until ${deferredUntil.toLocaleString()}.`);
+        return;
+      }
+      await upgrade();
+    });
+  } catch (error) {
+    const summary = errorSummary(error);
+    logger.log("error", `❌ Scheduled check failed: ${summary.message}`, { summary });
+  }
+  return deferredUntil;
+}
+
+/**
+ * Runs until SIGTERM/SIGINT, checking on the configured interval or schedule.
+ *
+ * @param {{ interval?: string, schedule?: string, once?: boolean }} [options] - Overrides from the command line;
+ *   `once` runs a single check and returns.
+ */
+async function daemon(options = {}) {
+  const settings = daemonSettings(options);
+  const windows = (settings.maintenanceWindows || []).map(parseWindow);
+  const cron = settings.schedule ? parseCron(settings.schedule) : null;
+  const intervalMs = cron ? null : parseDuration(settings.interval);
+  const nextCheck = (from) => (cron ? nextCronRun(cron, from) : new Date(from.getTime() + intervalMs));
+
+  let stopping = false;
+  let busy = false;
+  let wake = () => {};
+  const stop = (signal) => {
+    if (stopping) return;
+    stopping = true;
+    logger.info(busy ? `🛑 ${signal} received; letting the current run finish first...` : `🛑 ${signal} received.`);
+    wake();
+  };
+  const onSigterm = () => stop("SIGTERM");
+  const onSigint = () => stop("SIGINT");
+  process.on("SIGTERM", onSigterm);
+  process.on("SIGINT", onSigint);
+
+  const schedule = cron ? `schedule "${settings.schedule}"` : `every ${settings.interval}`;
+  const windowText = windows.length
+    ? `, upgrades only in ${settings.maintenanceWindows.map((w) => `${w.days || "daily"} ${w.start}-${w.end}`).join("; ")}`
+    : "";
+  logger.info(`🕒 java-manager daemon started (pid ${process.pid}), checking ${schedule}${windowText}.`);
+
+  try {
+    let due = new Date();
+    while (!stopping) {
+      while (!stopping && Date.now() < due.getTime()) {
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, Math.min(due.getTime() - Date.now(), MAX_SLEEP_MS));
+          wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+      }
+      if (stopping) break;
+
+      busy = true;
+      const deferredUntil = await runCheck(windows);
+      busy = false;
+      if (options.once) break;
+
+      const scheduled = nextCheck(new Date());
+      due = deferredUntil && deferredUntil < scheduled ? deferredUntil : scheduled;
+      logger.info(`🕒 Next check at ${due.toLocaleString()}.`);
+    }
+  } finally {
+    process.removeListener("SIGTERM", onSigterm);
+    process.removeListener("SIGINT", onSigint);
+  }
+  logger.info("👋 java-manager daemon stopped.");
+}
+
+module.exports = { DEFAULT_DAEMON, daemon };
@@ -0,0 +1,309 @@
+const fs = require("fs");
+const axios = require("axios");
+const { isDryRun, recordStep } = require("./executor");
+const { readHostSettings } = require("./settings");
+const { DownloadError } = require("./errors");
+
+/**
+ * Built-in HTTP(S) downloader used for every archive, checksum and signature.
+ *
+ * Settings come from `mave.download` in the mavee config:
+ *   retries    - extra attempts after a timeout, network or 5xx failure (default 3)
+ *   backoffMs  - delay before the first retry, doubled on each one (default 1000)
+ *   timeoutMs  - connect timeout and maximum time without receiving data (default 30000)
+ *   proxy      - "http://host:port" or { http, https, noProxy }; when unset the
+ *                HTTP_PROXY / HTTPS_PROXY / NO_PROXY environment variables apply
+ */
+const DEFAULTS = { retries: 3, backoffMs: 1000, timeoutMs: 30000 };
+
+let settings = { ...DEFAULTS };
+
+function configureDownloads(options = {}) {
+  settings = { ...DEFAULTS, ...readHostSettings("download"), ...options };
+}
+
+const TLS_ERROR_CODES = /^(EPROTO$|ERR_TLS_|ERR_SSL_|CERT_|UNABLE_TO_|SELF_SIGNED_|DEPTH_ZERO_|HOSTNAME_MISMATCH)/;
+const TIMEOUT_ERROR_CODES = ["ECONNABORTED", "ETIMEDOUT", "ESOCKETTIMEDOUT"];
+
+function classifyError(error, url) {
+  if (error instanceof DownloadError) {
+    return error;
+  }
+
+  const status = error.response && error.response.status;
+  if (status === 404) {
+    return new DownloadError(`🚨 Not found (HTTP 404): ${url}`, "not-found", url);
+  }
+  if (status >= 500) {
+    return new DownloadError(`🚨 Server error (HTTP ${status}): ${url}`, "server", url);
+  }
+  if (status) {
+    return new DownloadError(`🚨 Download refused (HTTP ${status}): ${url}`, "http", url);
+  }
+  if (TIMEOUT_ERROR_CODES.includes(error.code)) {
+    return new DownloadError(`🚨 Timed out after ${settings.timeoutMs}ms: ${url}`, "timeout", url);
+  }
+  if (error.code && TLS_ERROR_CODES.test(error.code)) {
+    return new DownloadError(`🚨 TLS error (${error.code}): ${url}`, "tls", url);
+  }
+  return new DownloadError(`🚨 Network error (${error.code || error.message}): ${url}`, "network", url);
+}
+
+/**
+ * Returns the axios `proxy` option for a URL. `undefined` lets axios use the
+ * proxy environment variables, `false` forces a direct connection.
+ */
+function proxyFor(url) {
+  const { proxy } = settings;
+  if (!proxy) {
+    return undefined;
+  }
+
+  const target = new URL(url);
+  const proxyUrl = typeof proxy === "string" ? proxy : proxy[target.protocol.replace(":", "")];
+  const noProxy = typeof proxy === "object" && proxy.noProxy ? [].concat(proxy.noProxy) : [];
+  const bypass = noProxy
+    .flatMap((entry) => entry.split(","))
+    .map((host) => host.trim().replace(/^\./, ""))
+    .some((host) => host && (target.hostname === host || target.hostname.endsWith(`.${host}`)));
+  if (!proxyUrl || bypass) {
+    return false;
+  }
+
+  const parsed = new URL(proxyUrl);
+  return {
+    protocol: parsed.protocol.replace(":", ""),
+    host: parsed.hostname,
+    port: Number(parsed.port) || (parsed.protocol === "https:" ? 443 : 80),
+    auth: parsed.username
+      ? { username: decodeURIComponent(parsed.username), password: decodeURIComponent(parsed.password) }
+      : undefined,
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function formatMegabytes(bytes) {
+  return (bytes / 1024 / 1024).toFixed(1);
+}
+
+/**
+ * Runs `attempt` until it succeeds, retrying retriable failures with
+ * exponential backoff.
+ */
+async function withRetries(url, attempt, onRetry = () => {}) {
+  for (let attemptNumber = 1; ; attemptNumber++) {
+    try {
+      return await attempt();
+    } catch (error) {
+      const failure = classifyError(error, url);
+      if (!failure.retriable || attemptNumber > settings.retries) {
+        throw failure;
+      }
+      const delay = settings.backoffMs * 2 ** (attemptNumber - 1);
+      onRetry(failure, delay, attemptNumber + 1);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * One download attempt into `<destination>.part`, resuming from whatever a
+ * previous attempt left there when the server supports range requests.
+ */
+async function downloadOnce(url, destination, onProgress) {
+  const partial = `${destination}.part`;
+  const offset = fs.existsSync(partial) ? fs.statSync(partial).size : 0;
+
+  // One timer covers both connecting and stalls mid-transfer
+  const controller = new AbortController();
+  let stalled = false;
+  let stallTimer;
+  const armStallTimer = () => {
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(() => {
+      stalled = true;
+      controller.abort();
+    }, settings.timeoutMs);
+  };
+  const stallAware = (error) =>
+    stalled ? Object.assign(new Error("No data received"), { code: "ETIMEDOUT" }) : error;
+
+  armStallTimer();
+  let response;
+  try {
+    response = await axios.get(url, {
+      responseType: "stream",
+      headers: offset ? { Range: `bytes=${offset}-` } : {},
+      signal: controller.signal,
+      proxy: proxyFor(url),
+      maxRedirects: 10,
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 416,
+    });
+  } catch (error) {
+    clearTimeout(stallTimer);
+    throw stallAware(error);
+  }
+
+  if (response.status === 416) {
+    // The partial file does not fit the remote one any more: start over
+    clearTimeout(stallTimer);
+    response.data.destroy();
+    fs.rmSync(partial, { force: true });
+    throw new DownloadError(`🚨 Stale partial download discarded: ${url}`, "network", url);
+  }
+
+  const resumed = response.status === 206;
+  const length = Number(response.headers["content-length"]);
+  const total = length ? length + (resumed ? offset : 0) : null;
+  let received = resumed ? offset : 0;
+
+  await new Promise((resolve, reject) => {
+    const out = fs.createWriteStream(partial, { flags: resumed ? "a" : "w" });
+    const fail = (error) => {
+      clearTimeout(stallTimer);
+      out.destroy();
+      reject(stallAware(error));
+    };
+
+    response.data.on("data", (chunk) => {
+      received += chunk.length;
+      armStallTimer();
+      onProgress(received, total);
+    });
+    response.data.on("error", fail);
+    out.on("error", fail);
+    out.on("finish", () => {
+      clearTimeout(stallTimer);
+      resolve();
+    });
+    response.data.pipe(out);
+  });
+
+  if (total && received < total) {
+    throw new DownloadError(`🚨 Connection closed after ${received} of ${total} bytes: ${url}`, "network", url);
+  }
+  fs.renameSync(partial, destination);
+}
+
+/**
+ * Downloads `url` to `destination` with retries, resume and a progress
+ * spinner on stderr.
+ *
+ * @param {string} url - http(s) URL to fetch.
+ * @param {string} destination - File to write; must be writable by the current user.
+ * @param {object} [options]
+ * @param {string} [options.label] - Name shown next to the progress indicator.
+ * @returns {Promise<void>}
+ * @throws {DownloadError}
+ */
+async function download(url, destination, options = {}) {
+  const label = options.label || url;
+
+  if (isDryRun()) {
+    recordStep("download", `Download ${url} -> ${destination}`, { url, path: destination });
+    return;
+  }
+
+  const { default: ora } = await import("ora");
+  const spinner = ora({ text: `⬇️ Downloading ${label}...`, stream: process.stderr }).start();
+  let lastUpdate = 0;
+  const onProgress = (received, total) => {
+    const now = Date.now();
+    if (now - lastUpdate < 200) return;
+    lastUpdate = now;
+    spinner.text = total
+      ? `⬇️ Downloading ${label} ${Math.floor((received / total) * 100)}% (${formatMegabytes(received)}/${formatMegabytes(total)} MB)`
+      : `⬇️ Downloading ${label} ${formatMegabytes(received)} MB`;
+  };
+
+  try {
+    await withRetries(url, () => downloadOnce(url, destination, onProgress), (failure, delay, nextAttempt) => {
+      spinner.text = `⏳ ${failure.message}; retrying in ${delay / 1000}s (attempt ${nextAttempt}/${settings.retries + 1})`;
+    });
+    spinner.succeed(`Downloaded ${label}`);
+  } catch (error) {
+    spinner.fail(error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetches a small resource (checksum file, signature, KEYS) into memory,
+ * with the same proxy and retry handling as `download`.
+ *
+ * @param {string} url
+ * @returns {Promise<Buffer>}
+ * @throws {DownloadError}
+ */
+function fetchContent(url) {
+  return withRetries(url, async () => {
+    const response = await axios.get(url, {
+      responseType: "arraybuffer",
+      timeout: settings.timeoutMs,
+      proxy: proxyFor(url),
+      maxRedirects: 10,
+    });
+    return Buffer.from(response.data);
+  });
+}
+
+/**
+ * Conditional GET: sends `If-None-Match` / `If-Modified-Since` from a
+ * previous response, with the same proxy and retry handling as `download`.
+ *
+ * @param {string} url
+ * @param {{ etag?: string, lastModified?: string }} [previous] - Validators of the copy already held.
+ * @returns {Promise<{ notModified: true } | { content: Buffer, etag?: string, lastModified?: string }>}
+ * @throws {DownloadError}
+ */
+function fetchIfChanged(url, previous = {}) {
+  const headers = {};
+  if (previous.etag) {
+    headers["If-None-Match"] = previous.etag;
+  }
+  if (previous.lastModified) {
+    headers["If-Modified-Since"] = previous.lastModified;
+  }
+  return withRetries(url, async () => {
+    const response = await axios.get(url, {
+      responseType: "arraybuffer",
+      headers,
+      timeout: settings.timeoutMs,
+      proxy: proxyFor(url),
+      maxRedirects: 10,
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+    });
+    if (response.status === 304) {
+      return { notModified: true };
+    }
+    return {
+      content: Buffer.from(response.data),
+      etag: response.headers.etag,
+      lastModified: response.headers["last-modified"],
+    };
+  });
+}
+
+/**
+ * Where a "latest" style URL currently redirects to, without downloading it.
+ *
+ * @param {string} url
+ * @returns {Promise<string>} - The redirect target, or `url` itself when it does not redirect.
+ * @throws {DownloadError}
+ */
+function resolveRedirect(url) {
+  return withRetries(url, async () => {
+    const response = await axios.head(url, {
+      timeout: settings.timeoutMs,
+      proxy: proxyFor(url),
+      maxRedirects: 0,
+      validateStatus: (status) => status >= 200 && status < 400,
+    });
+    return response.status >= 300 && response.headers.location ? new URL(response.headers.location, url).href : url;
+  });
+}
+
+module.exports = { configureDownloads, download, fetchContent, fetchIfChanged, resolveRedirect, DownloadError };
@@ -0,0 +1,135 @@
+const fs = require("fs");
+const path = require("path");
+const { runCommand, writeFile, isDryRun } = require("./executor");
+const paths = require("./paths");
+const { readHostSettings } = require("./settings");
+const logger = require("./logger");
+const { definitions, expandTemplate } = require("./components");
+
+/**
+ * JAVA_HOME, CATALINA_HOME, the homes of the other installed components
+ * (MAVEN_HOME, ...) and PATH for login shells live in a file java-manager
+ * owns, `/etc/profile.d/java-manager.sh`. Every home is a `current` link, so
+ * switching versions never rewrites it; installing or removing a component does.
+ *
+ * With `mave.environment.environmentD: true` the same variables also go to
+ * `/etc/environment.d/60-java-manager.conf` for systemd user sessions.
+ *
+ * Nothing else is edited: not /etc/profile, not /etc/environment and not
+ * anyone's dotfiles. The only exception is removing the exact lines older
+ * releases appended to /etc/profile and /etc/environment, which would
+ * otherwise override the managed file.
+ */
+const HEADER = "# Managed by java-manager; this file is rewritten on install and upgrade.";
+
+function environmentSettings() {
+  return { environmentD: false, ...readHostSettings("environment") };
+}
+
+/**
+ * The variables and PATH entries of Java, Tomcat and every other component
+ * that has a `current` link, in definition order. PATH entries refer to the
+ * component's home variable, e.g. `$JAVA_HOME/bin`.
+ */
+function environmentEntries() {
+  const variables = [];
+  const pathEntries = [];
+  for (const definition of Object.values(definitions())) {
+    const home = paths.currentLink(definition.name);
+    if (!definition.required && !fs.existsSync(home)) {
+      continue;
+    }
+    const homeVariable = Object.keys(definition.env).find((variable) => definition.env[variable] === "{home}");
+    for (const [variable, value] of Object.entries(definition.env)) {
+      variables.push([variable, expandTemplate(value, { home })]);
+    }
+    for (const directory of definition.path) {
+      pathEntries.push(homeVariable ? `$${homeVariable}/${directory}` : path.join(home, directory));
+    }
+  }
+  return { variables, pathEntries };
+}
+
+function profileScriptContent() {
+  const { variables, pathEntries } = environmentEntries();
+  const exports = variables.map(([variable, value]) => `export ${variable}="${value}"`);
+  const pathUpdates = pathEntries.map(
+    (entry) => `case ":$PATH:" in
+  *":${entry}:"*) ;;
+  *) export PATH="${entry}:$PATH" ;;
+esac`
+  );
+  return `${[HEADER, ...exports, ...pathUpdates].join("\n")}\n`;
+}
+
+function environmentDContent() {
+  const { variables, pathEntries } = environmentEntries();
+  const assignments = variables.map(([variable, value]) => `${variable}=${value}`);
+  const pathLine = `PATH=${[...pathEntries.map((entry) => entry.replace(/^\$(\w+)/, "${$1}")), "${PATH}"].join(":")}`;
+  return `${[HEADER, ...assignments, pathLine].join("\n")}\n`;
+}
+
+async function writeIfChanged(filePath, content) {
+  if (!isDryRun() && fs.existsSync(filePath) && fs.readFileSync(filePath, "utf-8") === content) {
+    return;
+  }
+  await runCommand(`sudo mkdir -p ${path.dirname(filePath)}`);
+  await writeFile(filePath, content, { mode: "644" });
+}
+
+/**
+ * Lines older releases appended: JAVA_HOME/CATALINA_HOME pointing into the
+ * install prefix and the matching PATH export. Anything else is left alone.
+ */
+function isLegacyLine(line) {
+  const prefix = paths.installPrefix().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const home = new RegExp(`^\\s*(export\\s+)?(JAVA_HOME|CATALINA_HOME)=["']?${prefix}/`);
+  const pathExport = /^\s*export\s+PATH=["']?\$JAVA_HOME\/bin:\$PATH["']?\s*$/;
+  return home.test(line) || pathExport.test(line);
+}
+
+async function removeLegacyLines(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return;
+  }
+  const lines = fs.readFileSync(filePath, "utf-8").split("\n");
+  const kept = lines.filter((line) => !isLegacyLine(line));
+  if (kept.length === lines.length) {
+    return;
+  }
+  logger.info(`🧹 Removing ${lines.length - kept.length} line(s) an older java-manager added to ${filePath}`);
+  await writeFile(filePath, kept.join("\n"));
+}
+
+async function removeLegacyEnvironment() {
+  await removeLegacyLines(paths.profilePath());
+  await removeLegacyLines(paths.environmentPath());
+}
+
+/**
+ * Writes the managed environment file(s), idempotently.
+ */
+async function writeEnvironment() {
+  await writeIfChanged(paths.profileScriptPath(), profileScriptContent());
+  if (environmentSettings().environmentD) {
+    await writeIfChanged(paths.environmentDPath(), environmentDContent());
+  } else if (fs.existsSync(paths.environmentDPath())) {
+    await runCommand(`sudo rm -f ${paths.environmentDPath()}`, { kind: "delete" });
+  }
+  await removeLegacyEnvironment();
+  const variables = environmentEntries().variables.map(([variable]) => variable);
+  logger.info(`✅ ${variables.join(", ")} set in ${paths.profileScriptPath()} (new login shells pick them up).`);
+}
+
+/**
+ * Deletes the managed environment file(s) and any lines older releases added.
+ */
+async function removeEnvironment() {
+  await runCommand(`sudo rm -f ${paths.profileScriptPath()} ${paths.environmentDPath()}`, {
+    kind: "delete",
+    description: `Remove ${paths.profileScriptPath()} and ${paths.environmentDPath()}`,
+  });
+  await removeLegacyEnvironment();
+}
+
+module.exports = { writeEnvironment, removeEnvironment };
@@ -0,0 +1,175 @@
+/**
+ * Error classes that commands throw and the CLI turns into exit codes:
+ *
+ *   0   success
+ *   1   unexpected failure (anything not classified below)
+ *   2   nothing to do: the requested versions are already installed
+ *   10  config      invalid or missing mavee config, unknown version or channel
+ *   11  download    an archive, checksum file or manifest could not be fetched
+ *   12  checksum    checksum or GPG signature does not match
+ *   13  extract     an archive could not be unpacked or failed its component check
+ *   14  permission  missing privileges: sudo refused, EACCES or EPERM
+ *   15  service     systemd or the Tomcat health check failed
+ *   16  busy        another java-manager run holds the lock or is still working
+ *   17  interrupted an interrupted operation has to be recovered first (`java-manager recover`)
+ *   18  cancelled   a confirmation was declined, or there was no terminal to ask on and no --yes
+ *
+ * Keep the table in README.md in sync.
+ */
+class JavaManagerError extends Error {
+  static code = "error";
+  static exitCode = 1;
+
+  /**
+   * @param {string} message
+   * @param {{ cause?: Error, details?: object }} [options] - `details` ends up in the error summary.
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = new.target.name;
+    this.details = options.details;
+  }
+
+  get code() {
+    return this.constructor.code;
+  }
+
+  get exitCode() {
+    return this.constructor.exitCode;
+  }
+}
+
+class AlreadyUpToDateError extends JavaManagerError {
+  static code = "already-up-to-date";
+  static exitCode = 2;
+}
+
+class ConfigError extends JavaManagerError {
+  static code = "config";
+  static exitCode = 10;
+}
+
+class ChecksumError extends JavaManagerError {
+  static code = "checksum";
+  static exitCode = 12;
+}
+
+class ExtractError extends JavaManagerError {
+  static code = "extract";
+  static exitCode = 13;
+}
+
+class PermissionError extends JavaManagerError {
+  static code = "permission";
+  static exitCode = 14;
+}
+
+class ServiceError extends JavaManagerError {
+  static code = "service";
+  static exitCode = 15;
+}
+
+class BusyError extends JavaManagerError {
+  static code = "busy";
+  static exitCode = 16;
+}
+
+class InterruptedOperationError extends JavaManagerError {
+  static code = "interrupted";
+  static exitCode = 17;
+}
+
+class CancelledError extends JavaManagerError {
+  static code = "cancelled";
+  static exitCode = 18;
+}
+
+/**
+ * A failed download. `reason` is one of "not-found", "http", "server",
+ * "tls", "timeout", "network", "metadata" (release metadata that cannot be
+ * read) or "offline" (not cached and --offline is set);
+ * only "server", "timeout" and "network" are retried.
+ */
+class DownloadError extends JavaManagerError {
+  static code = "download";
+  static exitCode = 11;
+
+  constructor(message, reason, url) {
+    super(message, { details: { reason, url } });
+    this.reason = reason;
+    this.url = url;
+  }
+
+  get retriable() {
+    return ["server", "timeout", "network"].includes(this.reason);
+  }
+}
+
+const PERMISSION_PATTERN = /permission denied|operation not permitted|sudo: .*password is required|is not in the sudoers file/i;
+
+/**
+ * Classifies an error that did not come with a class of its own, e.g. from
+ * `fs` or a failed command.
+ *
+ * @returns {JavaManagerError}
+ */
+function classifyError(error) {
+  if (error instanceof JavaManagerError) {
+    return error;
+  }
+  const message = (error && error.message) || String(error);
+  const details = error && error.details;
+  if ((error && ["EACCES", "EPERM"].includes(error.code)) || PERMISSION_PATTERN.test(message)) {
+    return new PermissionError(message, { cause: error, details });
+  }
+  return new JavaManagerError(message, { cause: error, details });
+}
+
+/**
+ * Wraps `action` so any failure it throws is reported as `ErrorClass`,
+ * unless it already has a more specific class (e.g. a permission problem).
+ */
+async function asError(ErrorClass, action) {
+  try {
+    return await action();
+  } catch (error) {
+    const classified = classifyError(error);
+    if (classified.constructor !== JavaManagerError) {
+      throw classified;
+    }
+    throw new ErrorClass(classified.message, { cause: error, details: classified.details });
+  }
+}
+
+/**
+ * The one-line summary the CLI prints for monitoring.
+ *
+ * @returns {{ status: string, code: string, exitCode: number, message: string, details?: object }}
+ */
+function errorSummary(error) {
+  const classified = classifyError(error);
+  return {
+    status: classified instanceof AlreadyUpToDateError ? "nothing-to-do" : "failed",
+    code: classified.code,
+    exitCode: classified.exitCode,
+    message: classified.message,
+    ...(classified.details ? { details: classified.details } : {}),
+  };
+}
+
+module.exports = {
+  JavaManagerError,
+  AlreadyUpToDateError,
+  ConfigError,
+  DownloadError,
+  ChecksumError,
+  ExtractError,
+  PermissionError,
+  ServiceError,
+  BusyError,
+  InterruptedOperationError,
+  CancelledError,
+  classifyError,
+  asError,
+  errorSummary,
+};
@@ -0,0 +1,235 @@
+const { exec } = require("child_process");
+const fs = require("fs");
+const logger = require("./logger");
+
+/**
+ * Single place through which every side effect of the CLI goes. In dry-run
+ * mode mutating steps are recorded into an ordered plan instead of being
+ * executed, so `--dry-run` can show exactly what a command would do.
+ *
+ * Step kinds: "download", "verify", "write", "delete", "service", "system"
+ * (packages, users, ownership) and "command".
+ */
+let dryRun = false;
+let useSudo = true;
+let systemActions = true;
+let stepListener = null;
+const plan = [];
+
+/**
+ * Adjusts how commands run when working against a scratch tree.
+ *
+ * @param {object} options
+ * @param {boolean} [options.useSudo=true] - When false, `sudo` is stripped from commands.
+ * @param {boolean} [options.systemActions=true] - When false, "service" and "system" steps are skipped.
+ */
+function configureExecutor(options = {}) {
+  useSudo = options.useSudo !== false;
+  systemActions = options.systemActions !== false;
+}
+
+function withoutSudo(command) {
+  return command.replace(/(^|[\s;&|(])sudo\s+/g, "$1");
+}
+
+/**
+ * Whether "service" and "system" steps really run; false under a relocated --root.
+ */
+function systemActionsEnabled() {
+  return systemActions;
+}
+
+function setDryRun(enabled) {
+  dryRun = Boolean(enabled);
+}
+
+function isDryRun() {
+  return dryRun;
+}
+
+function getPlan() {
+  return plan.slice();
+}
+
+/**
+ * Forgets the recorded plan, e.g. after showing a preview.
+ */
+function clearPlan() {
+  plan.length = 0;
+}
+
+/**
+ * Registers a callback told about every mutating step that really runs:
+ * `listener("started" | "done" | "failed", { kind, description })`. Used by
+ * the operation journal; `null` removes it. A step only runs once the
+ * listener's promise for "started" resolved, and fails when it rejects.
+ */
+function setStepListener(listener) {
+  stepListener = listener;
+}
+
+async function notifyStep(event, step) {
+  if (stepListener) {
+    await stepListener(event, step);
+  }
+}
+
+/**
+ * Adds a step to the plan without running anything. Used for work that does
+ * not go through a shell command, e.g. archive verification.
+ */
+function recordStep(kind, description, details = {}) {
+  plan.push({ step: plan.length + 1, kind, description, ...details });
+}
+
+/**
+ * Runs a shell command with bash and returns its trimmed output.
+ *
+ * @param {string} command - The shell command to execute.
+ * @param {object} [options]
+ * @param {string} [options.kind="command"] - Plan step kind used in dry-run mode.
+ * @param {string} [options.description] - Human readable summary for the plan.
+ * @param {boolean} [options.readOnly=false] - Read-only queries also run in dry-run mode.
+ * @param {string} [options.dryRunResult=""] - Value returned instead of output in dry-run mode.
+ * @param {string} [options.input] - Data written to the command's stdin.
+ * @param {boolean} [options.notify=true] - Tell the step listener; the journal's own writes do not.
+ * @returns {Promise<string>} - The trimmed output of the command.
+ * @throws {Error} - If the command exits non-zero.
+ */
+async function runCommand(command, options = {}) {
+  const { kind = "command", description, readOnly = false, dryRunResult = "", input, notify = true } = options;
+
+  if (!useSudo) {
+    command = withoutSudo(command);
+  }
+
+  if (!systemActions && (kind === "service" || kind === "system")) {
+    logger.info(`⏭️ Skipping ${kind} step outside the real root: ${description || command.trim()}`);
+    return dryRunResult;
+  }
+
+  if (dryRun && !readOnly) {
+    recordStep(kind, description || command.trim(), { command: command.trim() });
+    return dryRunResult;
+  }
+
+  const step = { kind, description: description || command.trim() };
+  const notified = !readOnly && notify;
+  if (notified) {
+    await notifyStep("started", step);
+  }
+
+  const started = Date.now();
+  logger.log("debug", `$ ${command.trim()}`, { command: command.trim(), kind });
+  const { error, stdout, stderr } = await new Promise((resolve) => {
+    const child = exec(command, { shell: "/bin/bash" }, (execError, out, err) =>
+      resolve({ error: execError, stdout: out, stderr: err })
+    );
+    if (input !== undefined) {
+      child.stdin.end(input);
+    }
+  });
+
+  const durationMs = Date.now() - started;
+  if (error) {
+    const fields = { command: command.trim(), kind, durationMs, exitCode: error.code, stderr: stderr.trim() };
+    if (!readOnly) {
+      logger.log("error", `❌ Command failed after ${durationMs} ms: ${command.trim()}`, fields);
+      logger.log("error", `Error: ${stderr}`);
+    } else {
+      logger.log("debug", `↩️ exit ${error.code} after ${durationMs} ms`, fields);
+    }
+    if (notified) {
+      await notifyStep("failed", step);
+    }
+    throw new Error(stderr.trim() || error.message);
+  }
+
+  logger.log("debug", `✔️ done in ${durationMs} ms`, { command: command.trim(), kind, durationMs, exitCode: 0 });
+  if (notified) {
+    await notifyStep("done", step);
+  }
+  return stdout.trim();
+}
+
+/**
+ * Writes a file, through `sudo tee` for root-owned locations.
+ *
+ * @param {string} filePath - Destination path.
+ * @param {string} content - File contents.
+ * @param {object} [options]
+ * @param {boolean} [options.sudo=true] - Write with root privileges.
+ * @param {string} [options.mode] - Octal mode applied after writing, e.g. "644".
+ * @param {boolean} [options.atomic=false] - Write a synced `<file>.tmp` and rename it over the file,
+ *   so a crash leaves either the old or the new content.
+ * @param {boolean} [options.notify=true] - Tell the step listener (see `runCommand`).
+ */
+async function writeFile(filePath, content, options = {}) {
+  const { sudo = true, mode, atomic = false, notify = true } = options;
+
+  if (dryRun) {
+    recordStep("write", `Write ${filePath}${mode ? ` (mode ${mode})` : ""}`, { path: filePath, content });
+    return;
+  }
+
+  const target = atomic ? `${filePath}.tmp` : filePath;
+  if (sudo) {
+    await runCommand(`sudo tee "${target}" > /dev/null`, { kind: "write", description: `Write ${filePath}`, input: content, notify });
+    if (mode) {
+      await runCommand(`sudo chmod ${mode} "${target}"`, { notify });
+    }
+    if (atomic) {
+      await runCommand(`sudo sync "${target}" && sudo mv -f "${target}" "${filePath}"`, { notify });
+    }
+  } else {
+    const step = { kind: "write", description: `Write ${filePath}` };
+    logger.log("debug", step.description, { path: filePath, kind: "write" });
+    if (notify) {
+      await notifyStep("started", step);
+    }
+    fs.writeFileSync(target, content);
+    if (mode) {
+      fs.chmodSync(target, parseInt(mode, 8));
+    }
+    if (atomic) {
+      const fd = fs.openSync(target, "r");
+      fs.fsyncSync(fd);
+      fs.closeSync(fd);
+      fs.renameSync(target, filePath);
+    }
+    if (notify) {
+      await notifyStep("done", step);
+    }
+  }
+}
+
+/**
+ * Prints the recorded plan, either as a numbered list or as JSON for review tooling.
+ *
+ * @param {"text"|"json"} format
+ */
+function printPlan(format = "text") {
+  if (format === "json") {
+    process.stdout.write(`${JSON.stringify({ dryRun: true, steps: plan }, null, 2)}\n`);
+    return;
+  }
+
+  console.log(`📝 Dry run: ${plan.length} planned step(s), nothing was executed.`);
+  for (const entry of plan) {
+    console.log(`  ${String(entry.step).padStart(3)}. [${entry.kind}] ${entry.description}`);
+  }
+}
+
+module.exports = {
+  configureExecutor,
+  systemActionsEnabled,
+  runCommand,
+  writeFile,
+  recordStep,
+  setStepListener,
+  setDryRun,
+  isDryRun,
+  getPlan,
+  clearPlan,
+  printPlan,
+};
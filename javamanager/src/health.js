@@ -0,0 +1,121 @@
+const axios = require("axios");
+const paths = require("./paths");
+const { runCommand, isDryRun, systemActionsEnabled } = require("./executor");
+const { readHostSettings } = require("./settings");
+const { TOMCAT_SERVICE } = require("./service");
+const { configuredPort, isListening } = require("./status");
+const logger = require("./logger");
+const { ServiceError } = require("./errors");
+
+/**
+ * Health gate an upgraded Tomcat has to pass before the upgrade is kept.
+ * Configured under `mave.healthCheck` in the mavee config:
+ *
+ *   timeoutMs       how long Tomcat gets to become healthy (default 120000)
+ *   intervalMs      pause between attempts (default 2000)
+ *   systemd         require `systemctl is-active tomcat` (default true)
+ *   port            true: the HTTP connector port from conf/server.xml, a number: that
+ *                   port, false: no port check (default true)
+ *   url             optional HTTP probe, e.g. "http://127.0.0.1:8080/app/health"
+ *   expectedStatus  status the probe must answer with (default 200)
+ *   canary          gate the staged version on its own before switching to it (default true, see canary.js)
+ *   canaryPortOffset  added to every port of the staged instance's server.xml (default 10000)
+ *
+ * The whole gate is skipped under a relocated --root: the executor skips the
+ * service steps there, so Tomcat is never started and nothing could pass.
+ */
+const DEFAULT_HEALTH_CHECK = {
+  timeoutMs: 120000,
+  intervalMs: 2000,
+  systemd: true,
+  port: true,
+  url: "",
+  expectedStatus: 200,
+  canary: true,
+  canaryPortOffset: 10000,
+};
+
+function healthSettings(overrides = {}) {
+  return { ...DEFAULT_HEALTH_CHECK, ...readHostSettings("healthCheck"), ...overrides };
+}
+
+async function checkUnit(unit) {
+  const state = await runCommand(`systemctl is-active ${unit} || true`, { readOnly: true });
+  return state === "active" ? null : `${unit}.service is ${state || "unknown"}`;
+}
+
+async function checkPort(port) {
+  return (await isListening(port)) ? null : `nothing is listening on port ${port}`;
+}
+
+async function checkUrl(url, expectedStatus, timeoutMs) {
+  try {
+    const response = await axios.get(url, {
+      timeout: timeoutMs,
+      maxRedirects: 0,
+      proxy: false,
+      validateStatus: () => true,
+    });
+    return response.status === expectedStatus ? null : `${url} answered ${response.status}, expected ${expectedStatus}`;
+  } catch (error) {
+    return `${url} did not answer: ${error.code || error.message}`;
+  }
+}
+
+/**
+ * One round of every enabled check.
+ *
+ * @returns {Promise<string[]>} - Why Tomcat is not healthy yet; empty when it is.
+ */
+async function runChecks(settings, unit, port) {
+  const failures = [];
+  if (settings.systemd) {
+    failures.push(await checkUnit(unit));
+  }
+  if (port) {
+    failures.push(await checkPort(port));
+  }
+  if (settings.url) {
+    failures.push(await checkUrl(settings.url, settings.expectedStatus, Math.min(settings.intervalMs || 5000, 5000)));
+  }
+  return failures.filter(Boolean);
+}
+
+/**
+ * Polls Tomcat until every configured check passes or the timeout expires.
+ *
+ * @param {object} [overrides] - Overrides for `mave.healthCheck`.
+ * @param {{ unit?: string, base?: string, name?: string }} [instance] - The Tomcat to check: its
+ *   systemd unit, the CATALINA_BASE its port is read from and how to call it; `tomcat.service` by default.
+ * @throws {ServiceError} - With the checks still failing when the timeout expired.
+ */
+async function waitForTomcat(overrides = {}, instance = {}) {
+  const { unit = TOMCAT_SERVICE, base = paths.tomcatCurrentLink(), name = "Tomcat" } = instance;
+  const settings = healthSettings(overrides);
+  if (isDryRun()) {
+    logger.info("🩺 Dry run: skipping the Tomcat health check.");
+    return;
+  }
+  if (!systemActionsEnabled()) {
+    logger.info("🩺 Skipping the Tomcat health check outside the real root: Tomcat is not started there.");
+    return;
+  }
+
+  const port = settings.port === true ? configuredPort(base) : settings.port || null;
+  const deadline = Date.now() + settings.timeoutMs;
+  logger.info(`🩺 Waiting up to ${Math.round(settings.timeoutMs / 1000)}s for ${name} to become healthy...`);
+
+  for (;;) {
+    const failures = await runChecks(settings, unit, port);
+    if (!failures.length) {
+      logger.info(`✅ ${name} passed the health check.`);
+      return;
+    }
+    if (Date.now() + settings.intervalMs > deadline) {
+      throw new ServiceError(`🚨 ${name} failed the health check: ${failures.join("; ")}.`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, settings.intervalMs));
+  }
+}
+
+module.exports = { DEFAULT_HEALTH_CHECK, healthSettings, waitForTomcat };
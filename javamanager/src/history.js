@@ -0,0 +1,45 @@
+const { readState, statePath } = require("./state");
+
+function describeChange(change) {
+  const from = change.from || "none";
+  const to = change.to || "removed";
+  return `${change.component} ${from} → ${to}${change.reverted ? " (reverted)" : ""}`;
+}
+
+/**
+ * Prints the operation ledger, newest first.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.json=false] - Print the raw ledger records as JSON.
+ * @param {number} [options.limit] - Only show the most recent N operations.
+ */
+async function history(options = {}) {
+  const { operations } = readState();
+  const recent = operations.slice(options.limit ? -options.limit : 0).reverse();
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(recent, null, 2)}\n`);
+    return;
+  }
+
+  if (!recent.length) {
+    console.log(`ℹ️ No operations recorded yet in ${statePath()}.`);
+    return;
+  }
+
+  for (const operation of recent) {
+    const icon = operation.outcome === "success" ? "✅" : "❌";
+    const changes = operation.changes.map(describeChange).join(", ") || "no changes";
+    console.log(`${icon} #${operation.id} ${operation.finishedAt} ${operation.operation}: ${changes}`);
+    for (const change of operation.changes) {
+      if (change.url) console.log(`     ${change.component} from ${change.url} (sha256 ${change.sha256})`);
+      if (change.backup) console.log(`     ${change.component} ${change.from} backed up to ${change.backup}`);
+      if (change.report) console.log(`     ${change.component} carry-over report: ${change.report}`);
+    }
+    if (operation.error) {
+      console.log(`     error: ${operation.error}`);
+    }
+  }
+}
+
+module.exports = { history };
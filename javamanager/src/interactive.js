@@ -0,0 +1,250 @@
+const inquirer = require("inquirer");
+const { setDryRun, isDryRun, clearPlan, getPlan, printPlan } = require("./executor");
+const { loadConfig } = require("./config");
+const { status } = require("./status");
+const { history } = require("./history");
+const { install } = require("./install");
+const { upgrade } = require("./upgrade");
+const { rollback } = require("./rollback");
+const { fullUninstall } = require("./uninstall");
+const { compareVersions, listVersions, currentVersion, use } = require("./versions");
+const { listBackups } = require("./backups");
+const { componentNames, definitionFor } = require("./components");
+const { guardInterrupted } = require("./recovery");
+const { withLock } = require("./lock");
+const { AlreadyUpToDateError, ConfigError, CancelledError, classifyError } = require("./errors");
+
+/**
+ * Guided mode (`java-manager` without arguments, or `--interactive`): shows
+ * the current state, lets the operator pick versions from the config
+ * candidates, previews the plan and asks before changing anything.
+ *
+ * Destructive commands ask for confirmation outside this mode too; `--yes`
+ * answers for scripts, and without a terminal they refuse to run without it.
+ */
+const UNINSTALL_WARNING =
+  "Uninstall stops Tomcat (kill -9 on every process matching \"tomcat\"), deletes every installed JDK and Tomcat " +
+  "with their backups and removes tomcat.service and the managed environment file.";
+
+/**
+ * Asks before a destructive step.
+ *
+ * @param {string} message - What will happen.
+ * @param {{ yes?: boolean, typed?: string }} [options] - `yes` skips the question; with `typed`
+ *   the operator has to type that word instead of answering y/N.
+ * @throws {CancelledError} - When declined, or when there is no terminal to ask on and `yes` is not set.
+ */
+async function confirmDestructive(message, options = {}) {
+  if (options.yes || isDryRun()) {
+    return;
+  }
+  if (!process.stdin.isTTY) {
+    throw new CancelledError(`🚨 ${message}\n🚨 Refusing to continue without a terminal to confirm on; pass --yes to proceed.`);
+  }
+  console.warn(`⚠️ ${message}`);
+  const answer = options.typed
+    ? (await inquirer.prompt([{ type: "input", name: "value", message: `Type "${options.typed}" to continue:` }])).value
+    : (await inquirer.prompt([{ type: "confirm", name: "value", message: "Continue?", default: false }])).value;
+  if (options.typed ? answer.trim() !== options.typed : !answer) {
+    throw new CancelledError("🚨 Cancelled; nothing was changed.");
+  }
+}
+
+/**
+ * Choices for one component from a config's candidates, newest first,
+ * marked with their channels, the default and the version in use.
+ */
+function versionChoices(kind, component) {
+  const dependency = loadConfig(kind).mave.dependencies[component];
+  const channels = Object.entries(dependency.channels || {});
+  const defaultVersion = (dependency.channels || {})[dependency.default] || dependency.default;
+  const current = currentVersion(component);
+
+  return Object.keys(dependency.candidates)
+    .sort(compareVersions)
+    .reverse()
+    .map((version) => {
+      const labels = channels.filter(([, target]) => target === version).map(([name]) => name);
+      if (version === defaultVersion) labels.push("default");
+      if (version === current) labels.push("in use");
+      return { name: labels.length ? `${version} (${labels.join(", ")})` : version, value: version };
+    });
+}
+
+async function pickVersions(kind) {
+  const { java, tomcat } = await inquirer.prompt([
+    { type: "list", name: "java", message: "Java version:", choices: versionChoices(kind, "java") },
+    { type: "list", name: "tomcat", message: "Tomcat version:", choices: versionChoices(kind, "tomcat") },
+  ]);
+  return { java, tomcat };
+}
+
+async function pickRollbackTargets() {
+  const { target } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "target",
+      message: "Roll back:",
+      choices: [
+        { name: "Everything, to what the last upgrade replaced", value: "previous" },
+        ...componentNames()
+          .filter((component) => definitionFor(component).required || listVersions(component).length)
+          .map((component) => ({ name: `${definitionFor(component).label}, to a version I choose`, value: component })),
+      ],
+    },
+  ]);
+  if (target === "previous") {
+    return {};
+  }
+  const current = currentVersion(target);
+  const versions = [...new Set([...listVersions(target), ...listBackups(target).map((backup) => backup.version)])]
+    .filter((version) => version !== current)
+    .sort(compareVersions)
+    .reverse();
+  if (!versions.length) {
+    throw new ConfigError(`🚨 No other ${target} version is installed or backed up.`);
+  }
+  const { version } = await inquirer.prompt([
+    { type: "list", name: "version", message: `${target} version:`, choices: versions },
+  ]);
+  return { [target]: version };
+}
+
+/**
+ * Runs `action` in dry-run mode and prints the plan it would carry out.
+ *
+ * @returns {Promise<number>} - The number of planned steps.
+ */
+async function preview(action) {
+  console.log("🔍 Working out the plan...");
+  const dryRun = isDryRun();
+  setDryRun(true);
+  clearPlan();
+  try {
+    await action();
+    printPlan();
+    return getPlan().length;
+  } finally {
+    setDryRun(dryRun);
+    clearPlan();
+  }
+}
+
+async function previewAndRun(label, action, options = {}) {
+  const steps = await preview(action);
+  if (!steps) {
+    console.log("✅ Nothing to do.");
+    return;
+  }
+  if (isDryRun()) {
+    // --dry-run: the preview is all there is
+    return;
+  }
+  if (options.destructive) {
+    await confirmDestructive(options.destructive, { yes: options.yes, typed: "uninstall" });
+  } else if (!options.yes) {
+    const { proceed } = await inquirer.prompt([
+      { type: "confirm", name: "proceed", message: `Run this ${label} now?`, default: false },
+    ]);
+    if (!proceed) {
+      console.log("ℹ️ Cancelled; nothing was changed.");
+      return;
+    }
+  }
+  await withLock(label, async () => {
+    await guardInterrupted();
+    await action();
+  });
+  console.log(`✅ ${label} finished.`);
+}
+
+/**
+ * Runs the guided mode until the operator quits.
+ *
+ * @param {{ yes?: boolean }} [options]
+ */
+async function interactive(options = {}) {
+  await status();
+
+  for (;;) {
+    const { action } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "action",
+        message: "What would you like to do?",
+        choices: [
+          { name: "Upgrade Java and Tomcat", value: "upgrade" },
+          { name: "Install Java and Tomcat", value: "install" },
+          { name: "Roll back", value: "rollback" },
+          { name: "Switch to another installed version", value: "use" },
+          { name: "Show status", value: "status" },
+          { name: "Show history", value: "history" },
+          { name: "Uninstall everything", value: "uninstall" },
+          new inquirer.Separator(),
+          { name: "Quit", value: "quit" },
+        ],
+      },
+    ]);
+
+    try {
+      switch (action) {
+        case "upgrade": {
+          const selectors = await pickVersions("upgrade");
+          await previewAndRun("upgrade", () => upgrade(selectors), options);
+          break;
+        }
+        case "install": {
+          const selectors = await pickVersions("install");
+          await previewAndRun("install", () => install(selectors), options);
+          break;
+        }
+        case "rollback": {
+          const targets = await pickRollbackTargets();
+          await previewAndRun("rollback", () => rollback(targets), options);
+          break;
+        }
+        case "use": {
+          const { component } = await inquirer.prompt([
+            {
+              type: "list",
+              name: "component",
+              message: "Component:",
+              choices: componentNames().filter((name) => definitionFor(name).required || listVersions(name).length),
+            },
+          ]);
+          const versions = listVersions(component);
+          if (!versions.length) {
+            throw new ConfigError(`🚨 No ${component} version is installed.`);
+          }
+          const { version } = await inquirer.prompt([
+            { type: "list", name: "version", message: `${component} version:`, choices: versions, default: currentVersion(component) },
+          ]);
+          await previewAndRun("switch", () => use(component, version), options);
+          break;
+        }
+        case "status":
+          await status();
+          break;
+        case "history":
+          await history({ limit: 10 });
+          break;
+        case "uninstall":
+          await previewAndRun("uninstall", () => fullUninstall(), { ...options, destructive: UNINSTALL_WARNING });
+          break;
+        default:
+          return;
+      }
+    } catch (error) {
+      if (error instanceof AlreadyUpToDateError) {
+        // Already reported by the command itself
+        continue;
+      }
+      console.error(error.message || error);
+      if (!(error instanceof CancelledError)) {
+        process.exitCode = classifyError(error).exitCode;
+      }
+    }
+  }
+}
+
+module.exports = { UNINSTALL_WARNING, confirmDestructive, interactive };
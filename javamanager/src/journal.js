@@ -0,0 +1,160 @@
+const fs = require("fs");
+const path = require("path");
+const { runCommand, writeFile, isDryRun, setStepListener } = require("./executor");
+const paths = require("./paths");
+const { currentVersion } = require("./versions");
+const { componentNames, definitionFor } = require("./components");
+const logger = require("./logger");
+const { BusyError } = require("./errors");
+
+/**
+ * Crash-safe journal of the operation in progress, kept in
+ * `<root>/var/lib/java-manager/journal.json` while install, upgrade, rollback
+ * or uninstall runs:
+ *
+ *   { operation, args, pid, startedAt, previous: { java, tomcat, <other installed components> }, steps }
+ *
+ * Every mutating step is written as "started" before it runs and as "done"
+ * (or "failed") afterwards, and the file is synced each time. A run that
+ * finishes, successfully or not, deletes it, so a journal left behind by a
+ * dead process means that run was interrupted; see recovery.js. A journal
+ * that cannot be written fails the operation rather than leaving it
+ * unrecoverable.
+ */
+function journalPath() {
+  return path.join(paths.stateDir(), "journal.json");
+}
+
+/**
+ * The versions in use of Java, Tomcat and every other installed component.
+ */
+function previousVersions() {
+  const previous = {};
+  for (const component of componentNames()) {
+    const version = currentVersion(component);
+    if (version || definitionFor(component).required) {
+      previous[component] = version;
+    }
+  }
+  return previous;
+}
+
+/**
+ * Replaces the journal through a synced temporary file, so a crash leaves
+ * either the previous or the new version, never half of one. Its own writes
+ * are not journaled.
+ */
+async function saveJournal(journal) {
+  await writeFile(journalPath(), `${JSON.stringify(journal, null, 2)}\n`, { mode: "644", atomic: true, notify: false });
+}
+
+async function removeJournal() {
+  await runCommand(`sudo rm -f ${journalPath()}`, { kind: "delete", notify: false });
+}
+
+/**
+ * @returns {object | null} - The journal left on disk, if any.
+ */
+function readJournal() {
+  if (!fs.existsSync(journalPath())) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(journalPath(), "utf-8"));
+  } catch (error) {
+    logger.warn(`⚠️ Ignoring unreadable operation journal ${journalPath()}: ${error.message}`);
+    return null;
+  }
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * The journal of an operation whose process is gone, or `null`.
+ *
+ * @throws {BusyError} - When another java-manager process is still working.
+ */
+function interruptedOperation() {
+  const journal = readJournal();
+  if (!journal) {
+    return null;
+  }
+  if (journal.pid !== process.pid && isRunning(journal.pid)) {
+    throw new BusyError(`🚨 Another java-manager ${journal.operation} (pid ${journal.pid}) is still running.`);
+  }
+  return journal;
+}
+
+/**
+ * Wraps an operation so that it is journaled while it runs.
+ *
+ * @param {"install"|"upgrade"|"rollback"|"uninstall"} operation
+ * @param {Function} action - Called with the operation's arguments, e.g. the `--java`/`--tomcat` selectors.
+ * @returns {Function}
+ */
+function withJournal(operation, action) {
+  return async (args = {}) => {
+    if (isDryRun()) {
+      return action(args);
+    }
+
+    const journal = {
+      operation,
+      args,
+      pid: process.pid,
+      runId: logger.getRunId(),
+      startedAt: new Date().toISOString(),
+      previous: previousVersions(),
+      steps: [],
+    };
+    await runCommand(`sudo mkdir -p ${paths.stateDir()}`, { notify: false });
+    await saveJournal(journal);
+    setStepListener((event, step) => {
+      if (event === "started") {
+        journal.steps.push({ ...step, status: "started", at: new Date().toISOString() });
+      } else {
+        const entry = journal.steps.filter((candidate) => candidate.description === step.description).pop();
+        if (entry) {
+          entry.status = event;
+        }
+      }
+      return saveJournal(journal);
+    });
+
+    try {
+      return await action(args);
+    } finally {
+      setStepListener(null);
+      await removeJournal();
+    }
+  };
+}
+
+/**
+ * Logs what an interrupted operation had done when it stopped.
+ */
+function describeJournal(journal) {
+  const icons = { done: "✅", failed: "❌", started: "⏳" };
+  const previous = Object.entries(journal.previous || {})
+    .map(([component, version]) => `${component} ${version || "(none)"}`)
+    .join(", ");
+
+  logger.warn(`⚠️ An interrupted ${journal.operation} was found (started ${journal.startedAt}, pid ${journal.pid}).`);
+  logger.info(`   Before it started: ${previous}`);
+  if (!journal.steps.length) {
+    logger.info("   No step had run yet.");
+  }
+  for (const [index, step] of journal.steps.entries()) {
+    const note = step.status === "started" ? " (interrupted here)" : "";
+    logger.info(`   ${icons[step.status] || "•"} ${String(index + 1).padStart(3)}. ${step.description}${note}`);
+  }
+}
+
+module.exports = { journalPath, readJournal, removeJournal, interruptedOperation, withJournal, describeJournal };
@@ -0,0 +1,223 @@
+const fs = require("fs");
+const path = require("path");
+const { runCommand } = require("./executor");
+const paths = require("./paths");
+const { fetchArtifact } = require("./cache");
+const { createBackup, findBackup } = require("./backups");
+const { switchCurrent } = require("./versions");
+const { ensureServiceAccount, chownToServiceAccount } = require("./service");
+const { carryTomcatCustomizations } = require("./carryover");
+const { definitionFor, expandTemplate } = require("./components");
+const { ExtractError, asError } = require("./errors");
+const logger = require("./logger");
+
+/**
+ * The install and upgrade steps every component goes through, driven by its
+ * definition (see components/index.js):
+ *
+ *   fetch    a verified archive from the cache, the mirror or the network (see cache.js)
+ *   stage    unpacked into `<prefix>/.staging`, made executable, handed to the
+ *            service account and checked with the definition's `check` command
+ *   place    moved to its own versioned directory next to the other versions
+ *   switch   the `current` link pointed at it (see versions.js)
+ *
+ * Upgrades back the outgoing version up first and carry its customizations
+ * over into the staged one when the definition asks for it (Tomcat).
+ */
+
+/**
+ * Unpacks an archive into `dir`, dropping its single top-level directory.
+ */
+async function unpack(definition, archive, dir) {
+  if (definition.archive.format === "zip") {
+    const unpacked = `${dir}.unzip`;
+    await runCommand(`sudo rm -rf ${unpacked}`, { kind: "delete" });
+    await runCommand(`sudo unzip -q -o "${archive}" -d ${unpacked}`);
+    await runCommand(`sudo rmdir ${dir} && sudo mv -T ${unpacked}/* ${dir} && sudo rm -rf ${unpacked}`, {
+      description: `Move the top-level directory of ${archive} to ${dir}`,
+    });
+    return;
+  }
+  await runCommand(`sudo tar -xzf "${archive}" -C ${dir} --strip-components=1`);
+}
+
+/**
+ * Unpacks an archive into the staging area, prepares it, runs the
+ * definition's check against it and only then moves it to its install
+ * directory. A bad archive never gets near the install prefix.
+ *
+ * @param {string} component
+ * @param {string} version
+ * @param {string} archive - From `fetchArtifact`.
+ * @param {object} [options]
+ * @param {string} [options.javaHome] - JDK the check runs with; the current one by default.
+ * @param {Function} [options.beforeCheck] - Called with the staged directory once it is unpacked.
+ * @returns {Promise<string>} - The install directory.
+ */
+async function stage(component, version, archive, options = {}) {
+  const definition = definitionFor(component);
+  const installDir = paths.componentDir(component, version);
+  const stagedDir = path.join(paths.stagingDir(), path.basename(installDir));
+  const label = `${definition.label} ${version}`;
+
+  try {
+    logger.info(`📦 Staging ${label} in ${stagedDir}...`);
+    await runCommand(`sudo rm -rf ${stagedDir}`, { kind: "delete" });
+    await runCommand(`sudo mkdir -p ${stagedDir}`);
+    await asError(ExtractError, () => unpack(definition, archive, stagedDir));
+
+    if (options.beforeCheck) {
+      await options.beforeCheck(stagedDir);
+    }
+
+    // ✅ Set correct ownership and permissions
+    if (definition.service) {
+      await chownToServiceAccount(stagedDir);
+      await runCommand(`sudo chmod -R 755 ${stagedDir}`);
+    }
+    for (const pattern of definition.executables) {
+      await runCommand(`sudo chmod -R +x ${stagedDir}/${pattern}`);
+    }
+
+    // ✅ Let the staged version prove it works before it replaces anything
+    if (definition.check) {
+      const javaHome = options.javaHome || paths.javaCurrentLink();
+      const check = expandTemplate(definition.check, { dir: stagedDir, javaHome, version });
+      await asError(ExtractError, () =>
+        runCommand(`sudo ${check}`, { kind: "verify", description: `Check the staged ${label} with ${javaHome}` })
+      );
+    }
+
+    // ✅ Only versions that are not in use get here, so replacing the directory is safe
+    await runCommand(`sudo rm -rf ${installDir}`, { kind: "delete" });
+    await runCommand(`sudo mv -T ${stagedDir} ${installDir}`);
+    return installDir;
+  } catch (error) {
+    await runCommand(`sudo rm -rf ${stagedDir}`, { kind: "delete" }).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Installs a resolved candidate next to the versions already there and
+ * switches to it.
+ *
+ * @param {string} component - e.g. "java", "tomcat" or "maven".
+ * @param {object} dependency - A resolved candidate (see resolvers/).
+ * @param {{ mirror?: string, javaHome?: string }} [options]
+ * @returns {Promise<string>} - The archive it was installed from.
+ */
+async function installComponent(component, dependency, options = {}) {
+  const definition = definitionFor(component);
+  const { version, packageUrlUnix } = dependency;
+  logger.info(`🚀 Installing ${definition.label} ${version} from ${packageUrlUnix}...`);
+
+  try {
+    await runCommand(`sudo mkdir -p ${paths.installPrefix()}`);
+    if (definition.service) {
+      await ensureServiceAccount();
+    }
+
+    // Only archives matching the configured checksum/signature come out of the cache
+    let archive;
+    try {
+      archive = await fetchArtifact(component, dependency, { mirror: options.mirror });
+    } catch (fetchError) {
+      logger.error(`❌ ${definition.label} installation aborted: ${fetchError.message}`);
+      throw fetchError;
+    }
+
+    // Other installed versions stay in place next to this one
+    await stage(component, version, archive, { javaHome: options.javaHome });
+    await switchCurrent(component, version);
+    logger.info(`✅ ${definition.label} ${version} installed successfully.`);
+    return archive;
+  } catch (error) {
+    logger.error(`❌ ${definition.label} installation failed: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Backs up the version in use and stages the new one next to it, with the
+ * outgoing version's customizations when the definition carries them over.
+ * Nothing is switched yet.
+ *
+ * @param {string} component
+ * @param {string} version - The version to stage.
+ * @param {string} archive - From `fetchArtifact`.
+ * @param {string | null} currentVersion - The version in use.
+ * @param {{ javaHome?: string }} [options] - JDK the staged version is checked with.
+ * @returns {Promise<{ backup: string | null, report: string | null }>}
+ */
+async function stageUpgrade(component, version, archive, currentVersion, options = {}) {
+  const definition = definitionFor(component);
+
+  try {
+    logger.info(`🚀 Upgrading ${definition.label} ${version} from ${archive}...`);
+
+    // ✅ Backup the version in use; it stays installed next to the new one
+    let backup = null;
+    if (currentVersion && fs.existsSync(paths.componentDir(component, currentVersion))) {
+      backup = await createBackup(component, currentVersion);
+    }
+
+    // ✅ Ensure the service user and group exist
+    if (definition.service) {
+      await ensureServiceAccount();
+    }
+
+    let carriedOver = null;
+    const installDir = await stage(component, version, archive, {
+      javaHome: options.javaHome,
+      // ✅ Bring conf/, lib/, webapps/ and setenv.sh over before the configuration is checked
+      beforeCheck: definition.carryOver
+        ? async (stagedDir) => {
+            carriedOver = await carryTomcatCustomizations(currentVersion, version, stagedDir);
+          }
+        : null,
+    });
+
+    logger.info(`✅ ${definition.label} ${version} staged in ${installDir}.`);
+    return { backup, report: (carriedOver && carriedOver.reportPath) || null };
+  } catch (error) {
+    logger.error(`❌ ${definition.label} upgrade failed: ${error}`);
+    throw error;
+  }
+}
+
+/**
+ * Puts a component back on an earlier version, restoring its directory from
+ * the backup if it is no longer there.
+ *
+ * @param {string} component
+ * @param {string} version
+ * @param {string} [backupPath] - Backup to restore from; the newest one of the version by default.
+ * @returns {Promise<boolean>} - False when neither the directory nor a backup is left.
+ */
+async function restoreVersion(component, version, backupPath) {
+  const installDir = paths.componentDir(component, version);
+  if (!fs.existsSync(installDir)) {
+    const backup = backupPath || (findBackup(component, version) || {}).path;
+    if (!backup) {
+      logger.warn(`⚠️ Neither ${installDir} nor a backup of ${component} ${version} exists. Skipping rollback.`);
+      return false;
+    }
+    logger.info(`♻️ Restoring ${component} ${version} from backup: ${backup}...`);
+    await runCommand(`sudo cp -a ${backup} ${installDir}`);
+  }
+  await switchCurrent(component, version);
+  return true;
+}
+
+/**
+ * Distribution packages the components need to be unpacked, e.g. unzip for Gradle.
+ *
+ * @param {string[]} components
+ * @returns {string[]}
+ */
+function requiredPackages(components) {
+  return [...new Set(components.flatMap((component) => definitionFor(component).packages))];
+}
+
+module.exports = { stage, installComponent, stageUpgrade, restoreVersion, requiredPackages };
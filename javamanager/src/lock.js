@@ -0,0 +1,106 @@
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const paths = require("./paths");
+const { JavaManagerError, BusyError } = require("./errors");
+
+/**
+ * Exclusive run lock, `<root>/run/lock/java-manager.lock`, holding the pid
+ * and command of the process that changes the host. CLI commands and daemon
+ * runs take it for their whole duration, so they can never overlap.
+ *
+ * The lock itself is a flock(2) on the file, taken by `flock` on a descriptor
+ * this process keeps open: the kernel drops it when the process exits or
+ * dies, so a crashed run never leaves a lock behind and there is nothing to
+ * take over. The file is never deleted, since a process that opened it just
+ * before could otherwise lock a file nobody else sees any more.
+ */
+let fd = null;
+let signed = false;
+
+function lockPath() {
+  return paths.rooted("/run/lock/java-manager.lock");
+}
+
+function readOwner() {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath(), "utf-8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Takes the lock for this process.
+ *
+ * @param {string} command - What the lock is held for, shown to whoever finds it taken.
+ * @throws {BusyError} - When another process holds it.
+ */
+function acquireLock(command) {
+  if (fd !== null) {
+    return;
+  }
+  fs.mkdirSync(path.dirname(lockPath()), { recursive: true });
+  // A lock file another user created can still be locked, just not signed
+  let writable = true;
+  let descriptor;
+  try {
+    descriptor = fs.openSync(lockPath(), fs.constants.O_RDWR | fs.constants.O_CREAT, 0o644);
+  } catch (error) {
+    if (error.code !== "EACCES") {
+      throw error;
+    }
+    writable = false;
+    descriptor = fs.openSync(lockPath(), "r");
+  }
+
+  // flock locks the open file description it shares with this process, so the lock outlives the child
+  const result = spawnSync("flock", ["--exclusive", "--nonblock", "3"], { stdio: ["ignore", "ignore", "pipe", descriptor] });
+  if (result.status !== 0) {
+    fs.closeSync(descriptor);
+    if (result.error || result.status !== 1) {
+      const reason = result.error ? result.error.message : result.stderr.toString().trim();
+      throw new JavaManagerError(`🚨 Could not run flock on ${lockPath()}: ${reason}`);
+    }
+    // The owner writes itself in right after taking the lock; until then the file names nobody or an earlier run
+    const current = readOwner();
+    throw new BusyError(
+      current && current.pid !== process.pid
+        ? `🚨 java-manager is busy: ${current.command} (pid ${current.pid}) has held ${lockPath()} since ${current.since}.`
+        : `🚨 java-manager is busy: another run holds ${lockPath()}.`
+    );
+  }
+
+  if (writable) {
+    const owner = JSON.stringify({ pid: process.pid, command, since: new Date().toISOString() });
+    fs.ftruncateSync(descriptor);
+    fs.writeSync(descriptor, `${owner}\n`, 0);
+  }
+  fd = descriptor;
+  signed = writable;
+}
+
+function releaseLock() {
+  if (fd === null) {
+    return;
+  }
+  if (signed) {
+    fs.ftruncateSync(fd);
+  }
+  fs.closeSync(fd);
+  fd = null;
+}
+
+/**
+ * Runs `action` while holding the lock.
+ */
+async function withLock(command, action) {
+  acquireLock(command);
+  try {
+    return await action();
+  } finally {
+    releaseLock();
+  }
+}
+
+module.exports = { lockPath, acquireLock, releaseLock, withLock };
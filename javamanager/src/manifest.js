@@ -0,0 +1,154 @@
+const fs = require("fs");
+const path = require("path");
+const { fileURLToPath } = require("url");
+const { runCommand, writeFile, isDryRun } = require("./executor");
+const paths = require("./paths");
+const { readHostSettings } = require("./settings");
+const { fetchIfChanged } = require("./download");
+const { validateManifest, useManifest } = require("./config");
+const { isOffline } = require("./cache");
+const logger = require("./logger");
+const { ConfigError, DownloadError } = require("./errors");
+
+/**
+ * Remote release manifest. With `mave.manifest.url` set, a platform team
+ * publishes one JSON file and every host upgrades to the pair it selects:
+ *
+ *   {
+ *     "schemaVersion": 2,
+ *     "dependencies": {
+ *       "java":   { "default": ..., "channels": { ... }, "candidates": { ... } },
+ *       "tomcat": { ... }
+ *     }
+ *   }
+ *
+ * Its dependencies replace those of the upgrade config. `upgrade` and every
+ * daemon check fetch it conditionally (ETag / If-Modified-Since) and keep the
+ * last valid copy in `<cache>/manifest.json`; an unreachable server or an
+ * invalid manifest leaves that copy in effect.
+ */
+function manifestUrl() {
+  return readHostSettings("manifest").url || "";
+}
+
+function manifestCachePath() {
+  return path.join(paths.cacheDir(), "manifest.json");
+}
+
+/**
+ * @returns {{ url: string, etag?: string, lastModified?: string, fetchedAt: string, manifest: object } | null}
+ */
+function readCachedManifest(url) {
+  try {
+    const cached = JSON.parse(fs.readFileSync(manifestCachePath(), "utf-8"));
+    return cached.url === url ? cached : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseManifest(content, url) {
+  let manifest;
+  try {
+    manifest = JSON.parse(content.toString("utf-8"));
+  } catch (error) {
+    throw new ConfigError(`🚨 Manifest ${url} is not valid JSON: ${error.message}`);
+  }
+  const issues = validateManifest(manifest);
+  if (issues.length) {
+    throw new ConfigError([`🚨 Invalid manifest ${url}:`, ...issues.map((issue) => `   - ${issue.path}: ${issue.message}`)].join("\n"));
+  }
+  return manifest;
+}
+
+/**
+ * `file://` manifests use the file's mtime in place of Last-Modified.
+ */
+async function fetchManifest(url, cached) {
+  if (new URL(url).protocol === "file:") {
+    const file = fileURLToPath(url);
+    if (!fs.existsSync(file)) {
+      throw new DownloadError(`🚨 Manifest not found: ${file}`, "not-found", url);
+    }
+    const lastModified = fs.statSync(file).mtime.toUTCString();
+    if (cached && cached.lastModified === lastModified) {
+      return { notModified: true };
+    }
+    return { content: fs.readFileSync(file), lastModified };
+  }
+  return fetchIfChanged(url, cached || {});
+}
+
+async function saveManifest(entry) {
+  if (isDryRun()) {
+    return;
+  }
+  await runCommand(`sudo mkdir -p ${paths.cacheDir()}`);
+  await writeFile(manifestCachePath(), `${JSON.stringify(entry, null, 2)}\n`, { mode: "644" });
+}
+
+/**
+ * Puts the cached manifest in effect without going to the network, for
+ * commands that only look at the upgrade target such as `status`.
+ */
+function loadCachedManifest() {
+  const url = manifestUrl();
+  const cached = url ? readCachedManifest(url) : null;
+  useManifest(cached ? cached.manifest : null);
+  return cached;
+}
+
+/**
+ * Fetches the manifest when it changed and puts it in effect.
+ *
+ * @returns {Promise<object | null>} - The cache entry now in effect; null when no manifest is configured.
+ * @throws {DownloadError|ConfigError} - When the manifest can be neither fetched nor taken from the cache.
+ */
+async function refreshManifest() {
+  const url = manifestUrl();
+  if (!url) {
+    useManifest(null);
+    return null;
+  }
+
+  const cached = readCachedManifest(url);
+  let entry = cached;
+  if (isOffline()) {
+    if (!cached) {
+      throw new DownloadError(`🚨 Manifest ${url} has never been fetched and --offline is set.`, "offline", url);
+    }
+    logger.info(`📄 Using the manifest cached at ${cached.fetchedAt} (--offline).`);
+  } else {
+    try {
+      const response = await fetchManifest(url, cached);
+      if (response.notModified) {
+        logger.info(`📄 Manifest ${url} unchanged since ${cached.fetchedAt}.`);
+      } else {
+        const manifest = parseManifest(response.content, url);
+        entry = {
+          url,
+          etag: response.etag,
+          lastModified: response.lastModified,
+          fetchedAt: new Date().toISOString(),
+          manifest,
+        };
+        await saveManifest(entry);
+        const { java, tomcat } = manifest.dependencies;
+        logger.info(`📄 Fetched manifest ${url}: Java ${java.default}, Tomcat ${tomcat.default}.`);
+      }
+    } catch (error) {
+      if (!cached) {
+        // Keeps the class, and so the exit code, of the original failure
+        error.message = `${error.message}\n🚨 No cached copy of manifest ${url} to fall back to.`;
+        throw error;
+      }
+      logger.warn(error.message);
+      logger.warn(`⚠️ Falling back to the manifest cached at ${cached.fetchedAt}.`);
+    }
+  }
+
+  useManifest(entry.manifest);
+  return entry;
+}
+
+module.exports = { manifestUrl, manifestCachePath, loadCachedManifest, refreshManifest };
@@ -0,0 +1,153 @@
+const path = require("path");
+const { readHostSettings } = require("./settings");
+const { definitionFor, expandTemplate } = require("./components");
+
+/**
+ * Filesystem layout used by every command. `root` relocates everything
+ * (including /etc), `prefix` only moves the install directories and backups,
+ * e.g. `--prefix /srv/runtime` or `--root /tmp/scratch` for a throwaway tree.
+ *
+ * Both can also be set under `mave.paths` in the mavee config files; command
+ * line options take precedence.
+ */
+const DEFAULT_ROOT = "/";
+const DEFAULT_PREFIX = "/opt";
+const DEFAULT_CACHE = "/var/cache/java-manager";
+
+let root = DEFAULT_ROOT;
+let prefix = DEFAULT_PREFIX;
+let cache = DEFAULT_CACHE;
+
+/**
+ * Sets the filesystem root, install prefix and artifact cache directory.
+ * Missing values fall back to the mavee config and then to `/`, `/opt` and
+ * `/var/cache/java-manager`.
+ *
+ * @param {{ root?: string, prefix?: string, cache?: string }} [options]
+ */
+function configurePaths(options = {}) {
+  const configured = readHostSettings("paths");
+  root = path.resolve(options.root || configured.root || DEFAULT_ROOT);
+  prefix = options.prefix || configured.prefix || DEFAULT_PREFIX;
+  cache = options.cache || configured.cache || DEFAULT_CACHE;
+}
+
+/**
+ * Maps an absolute system path into the configured root.
+ */
+function rooted(systemPath) {
+  return path.join(root, systemPath);
+}
+
+function isRelocatedRoot() {
+  return root !== DEFAULT_ROOT;
+}
+
+function installPrefix() {
+  return rooted(prefix);
+}
+
+/**
+ * Where a version of a component is installed, e.g. `<prefix>/apache-maven-3.9.9`.
+ */
+function componentDir(component, version) {
+  return path.join(installPrefix(), expandTemplate(definitionFor(component).directory, { version }));
+}
+
+/**
+ * Stable link to the version in use; JAVA_HOME, the Tomcat unit and the
+ * other homes point here.
+ */
+function currentLink(component) {
+  return path.join(installPrefix(), definitionFor(component).link, "current");
+}
+
+function backupsDir(component) {
+  return path.join(installPrefix(), definitionFor(component).backups);
+}
+
+function javaDir(version) {
+  return componentDir("java", version);
+}
+
+function tomcatDir(version) {
+  return componentDir("tomcat", version);
+}
+
+function javaCurrentLink() {
+  return currentLink("java");
+}
+
+function tomcatCurrentLink() {
+  return currentLink("tomcat");
+}
+
+function javaBackupsDir() {
+  return backupsDir("java");
+}
+
+function tomcatBackupsDir() {
+  return backupsDir("tomcat");
+}
+
+/**
+ * Where upgrades unpack and check new versions before moving them into place.
+ */
+function stagingDir() {
+  return path.join(installPrefix(), ".staging");
+}
+
+function cacheDir() {
+  return rooted(cache);
+}
+
+function stateDir() {
+  return rooted("/var/lib/java-manager");
+}
+
+function systemdDir() {
+  return rooted("/etc/systemd/system");
+}
+
+function profilePath() {
+  return rooted("/etc/profile");
+}
+
+function environmentPath() {
+  return rooted("/etc/environment");
+}
+
+/**
+ * Files java-manager owns for JAVA_HOME, CATALINA_HOME, the other homes and PATH; see environment.js.
+ */
+function profileScriptPath() {
+  return rooted("/etc/profile.d/java-manager.sh");
+}
+
+function environmentDPath() {
+  return rooted("/etc/environment.d/60-java-manager.conf");
+}
+
+module.exports = {
+  configurePaths,
+  rooted,
+  isRelocatedRoot,
+  installPrefix,
+  componentDir,
+  currentLink,
+  backupsDir,
+  javaDir,
+  tomcatDir,
+  javaCurrentLink,
+  tomcatCurrentLink,
+  javaBackupsDir,
+  tomcatBackupsDir,
+  stagingDir,
+  cacheDir,
+  stateDir,
+  systemdDir,
+  profilePath,
+  environmentPath,
+  profileScriptPath,
+  environmentDPath,
+};
@@ -0,0 +1,245 @@
+const fs = require("fs");
+const { runCommand } = require("./executor");
+const paths = require("./paths");
+const { readHostSettings } = require("./settings");
+const logger = require("./logger");
+const { ConfigError } = require("./errors");
+
+/**
+ * Distribution and package-manager layer. The distribution is read from
+ * `/etc/os-release` (under `--root`, so a scratch tree can pretend to be any
+ * host) and picks one of the backends below.
+ *
+ * Settings come from `mave.platform` in the mavee config and the command line:
+ *
+ *   packageManager   "auto" (default), "dnf", "yum", "apt" or "zypper"; --package-manager wins
+ *   packages         extra packages to install along with the prerequisites
+ *
+ * Every supported distribution runs systemd, so services are managed the same
+ * way everywhere; only where distro packages put their units differs.
+ */
+const DEFAULT_PLATFORM = { packageManager: "auto", packages: [] };
+
+// Shared by the RPM based backends
+const rpmQuery = (pkg) => `rpm -q --quiet ${pkg}`;
+const shadowAccounts = {
+  addGroup: (group) => `sudo groupadd --system ${group}`,
+  addUser: (user, group) => `sudo useradd --system --no-create-home -s /sbin/nologin -g ${group} ${user}`,
+};
+
+/**
+ * What each package manager needs to know: how to refresh its index, install
+ * and query packages, the names of the tools java-manager relies on (tar,
+ * gzip, diff3 for carrying over Tomcat configuration, ps, the account tools)
+ * and how to create the service account.
+ */
+const BACKENDS = {
+  dnf: {
+    name: "dnf",
+    refresh: "sudo dnf -y makecache",
+    install: (packages) => `sudo dnf install -y ${packages.join(" ")}`,
+    query: rpmQuery,
+    prerequisites: ["tar", "gzip", "diffutils", "procps-ng", "shadow-utils"],
+    vendorUnitDir: "/usr/lib/systemd/system",
+    ...shadowAccounts,
+  },
+  yum: {
+    name: "yum",
+    refresh: "sudo yum -y makecache",
+    install: (packages) => `sudo yum install -y ${packages.join(" ")}`,
+    query: rpmQuery,
+    prerequisites: ["tar", "gzip", "diffutils", "procps-ng", "shadow-utils"],
+    vendorUnitDir: "/usr/lib/systemd/system",
+    ...shadowAccounts,
+  },
+  apt: {
+    name: "apt",
+    refresh: "sudo apt-get update",
+    install: (packages) => `sudo DEBIAN_FRONTEND=noninteractive apt-get install -y ${packages.join(" ")}`,
+    query: (pkg) => `dpkg-query -W -f='\${Status}' ${pkg} 2>/dev/null | grep -q 'ok installed'`,
+    prerequisites: ["tar", "gzip", "diffutils", "procps", "adduser"],
+    vendorUnitDir: "/lib/systemd/system",
+    addGroup: (group) => `sudo addgroup --system ${group}`,
+    addUser: (user, group) =>
+      `sudo adduser --system --no-create-home --shell /usr/sbin/nologin --ingroup ${group} ${user}`,
+  },
+  zypper: {
+    name: "zypper",
+    refresh: "sudo zypper --non-interactive refresh",
+    install: (packages) => `sudo zypper --non-interactive install ${packages.join(" ")}`,
+    query: rpmQuery,
+    prerequisites: ["tar", "gzip", "diffutils", "procps", "shadow"],
+    vendorUnitDir: "/usr/lib/systemd/system",
+    ...shadowAccounts,
+  },
+};
+
+let settings = { ...DEFAULT_PLATFORM };
+let detected = null;
+
+/**
+ * @param {{ packageManager?: string }} [options] - Command line overrides.
+ */
+function configurePlatform(options = {}) {
+  settings = { ...DEFAULT_PLATFORM, ...readHostSettings("platform") };
+  if (options.packageManager) {
+    settings.packageManager = options.packageManager;
+  }
+  if (settings.packageManager !== "auto" && !BACKENDS[settings.packageManager]) {
+    throw new ConfigError(
+      `🚨 Unknown package manager ${JSON.stringify(settings.packageManager)}; use auto, ${Object.keys(BACKENDS).join(", ")}.`
+    );
+  }
+  detected = null;
+}
+
+/**
+ * Parses os-release(5): KEY=value lines, values optionally quoted.
+ */
+function parseOsRelease(content) {
+  const fields = {};
+  for (const line of content.split("\n")) {
+    const match = line.match(/^([A-Z0-9_]+)=(.*)$/);
+    if (match) {
+      fields[match[1]] = match[2].replace(/^(["'])(.*)\1$/, "$2").replace(/\\(.)/g, "$1");
+    }
+  }
+  return fields;
+}
+
+function readOsRelease() {
+  for (const file of ["/etc/os-release", "/usr/lib/os-release"]) {
+    const osRelease = paths.rooted(file);
+    if (fs.existsSync(osRelease)) {
+      return parseOsRelease(fs.readFileSync(osRelease, "utf-8"));
+    }
+  }
+  return null;
+}
+
+/**
+ * The package manager of a distribution, from its ID and ID_LIKE.
+ *
+ * @returns {string | null}
+ */
+function packageManagerFor(osRelease) {
+  const ids = [osRelease.ID, ...(osRelease.ID_LIKE || "").split(/\s+/)].filter(Boolean);
+  const major = parseInt(osRelease.VERSION_ID, 10);
+  if (ids.some((id) => ["debian", "ubuntu"].includes(id))) {
+    return "apt";
+  }
+  if (ids.some((id) => id === "suse" || id.startsWith("opensuse") || id.startsWith("sles"))) {
+    return "zypper";
+  }
+  if (osRelease.ID !== "fedora" && ids.some((id) => ["rhel", "centos", "rocky", "almalinux", "ol"].includes(id))) {
+    // dnf replaced yum with EL 8
+    return major && major < 8 ? "yum" : "dnf";
+  }
+  if (ids.includes("fedora")) {
+    return "dnf";
+  }
+  return null;
+}
+
+/**
+ * The distribution this host runs and the package manager used on it.
+ *
+ * @returns {{ id: string, name: string, version: string, packageManager: string, overridden: boolean }}
+ */
+function detectPlatform() {
+  if (detected) {
+    return detected;
+  }
+  const osRelease = readOsRelease() || {};
+  const distro = {
+    id: osRelease.ID || "unknown",
+    name: osRelease.PRETTY_NAME || osRelease.NAME || "Unknown Linux",
+    version: osRelease.VERSION_ID || "",
+  };
+
+  if (settings.packageManager !== "auto") {
+    detected = { ...distro, packageManager: settings.packageManager, overridden: true };
+    return detected;
+  }
+  let packageManager = packageManagerFor(osRelease);
+  if (!packageManager) {
+    logger.warn(
+      `⚠️ Cannot tell the package manager of ${distro.name} from ${paths.rooted("/etc/os-release")}; assuming dnf ` +
+        "(set mave.platform.packageManager or --package-manager to choose)."
+    );
+    packageManager = "dnf";
+  }
+  detected = { ...distro, packageManager, overridden: false };
+  return detected;
+}
+
+/**
+ * The backend for this host.
+ */
+function packageManager() {
+  return BACKENDS[detectPlatform().packageManager];
+}
+
+/**
+ * Installs whichever prerequisites (plus `mave.platform.packages` and what
+ * the components being installed need) are missing. The package index is only
+ * refreshed when something has to be installed; offline, missing packages are
+ * reported, not installed.
+ *
+ * @param {{ offline?: boolean, packages?: string[] }} [options]
+ */
+async function ensurePrerequisites(options = {}) {
+  const backend = packageManager();
+  const wanted = [
+    ...new Set([...backend.prerequisites, ...[].concat(settings.packages || []), ...(options.packages || [])]),
+  ];
+
+  const missing = [];
+  for (const pkg of wanted) {
+    const installed = await runCommand(`${backend.query(pkg)} && echo yes || echo no`, {
+      kind: "system",
+      readOnly: true,
+      dryRunResult: "yes",
+      description: `Check that ${pkg} is installed`,
+    });
+    if (installed === "no") {
+      missing.push(pkg);
+    }
+  }
+  if (!missing.length) {
+    return;
+  }
+
+  if (options.offline) {
+    logger.warn(`⚠️ Missing packages ${missing.join(", ")} are not installed under --offline.`);
+    return;
+  }
+  logger.info(`📦 Installing ${missing.join(", ")} with ${backend.name}...`);
+  await runCommand(backend.refresh, { kind: "system", description: "Update package index" });
+  await runCommand(backend.install(missing), { kind: "system", description: `Install ${missing.join(", ")}` });
+}
+
+/**
+ * Creates the group and user Tomcat runs as, if they do not exist yet.
+ */
+async function ensureAccount(user, group) {
+  const backend = packageManager();
+  await runCommand(`getent group ${group} >/dev/null || ${backend.addGroup(group)}`, {
+    kind: "system",
+    description: `Ensure group ${group}`,
+  });
+  await runCommand(`id -u ${user} >/dev/null 2>&1 || ${backend.addUser(user, group)}`, {
+    kind: "system",
+    description: `Ensure user ${user}`,
+  });
+}
+
+module.exports = {
+  BACKENDS,
+  configurePlatform,
+  parseOsRelease,
+  detectPlatform,
+  packageManager,
+  ensurePrerequisites,
+  ensureAccount,
+};
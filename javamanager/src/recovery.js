@@ -0,0 +1,161 @@
+const fs = require("fs");
+const { runCommand } = require("./executor");
+const paths = require("./paths");
+const { readHostSettings } = require("./settings");
+const { startOperation, recordOperation, recordedOrigin } = require("./state");
+const { restartTomcat, tomcatUnitPath } = require("./service");
+const { switchCurrent, currentVersion } = require("./versions");
+const { findBackup } = require("./backups");
+const { readJournal, removeJournal, interruptedOperation, describeJournal } = require("./journal");
+const { install } = require("./install");
+const { upgrade } = require("./upgrade");
+const { rollback } = require("./rollback");
+const { fullUninstall } = require("./uninstall");
+const logger = require("./logger");
+const { ConfigError, InterruptedOperationError } = require("./errors");
+
+/**
+ * Recovery from operations that were interrupted (killed, crashed, power
+ * loss) and left their journal behind:
+ *
+ *   resume  - runs the interrupted operation again with the same arguments
+ *   revert  - puts Java, Tomcat and the other components back on the versions in use before it started
+ *
+ * Unattended runs (`--unattended`, e.g. from cron) pick the action from
+ * `mave.recovery.onInterrupted` in the mavee config ("revert" by default).
+ */
+const ACTIONS = ["resume", "revert"];
+const OPERATIONS = { install, upgrade, rollback, uninstall: fullUninstall };
+
+function unattendedAction() {
+  return readHostSettings("recovery").onInterrupted || "revert";
+}
+
+async function revertComponent(component, version) {
+  const directory = paths.componentDir(component, version);
+  if (currentVersion(component) === version && fs.existsSync(directory)) {
+    logger.info(`✅ ${component} ${version} is still in use.`);
+    return null;
+  }
+  if (!fs.existsSync(directory)) {
+    const backup = findBackup(component, version);
+    if (!backup) {
+      throw new ConfigError(`🚨 ${component} ${version} is gone and no backup of it is left.`);
+    }
+    logger.info(`♻️ Restoring ${component} ${version} from backup: ${backup.path}...`);
+    await runCommand(`sudo cp -a ${backup.path} ${directory}`);
+  }
+  const from = currentVersion(component);
+  await switchCurrent(component, version);
+  return { component, from, to: version, path: directory, ...recordedOrigin(component, version), backup: null };
+}
+
+/**
+ * Puts every component back on the version recorded when the interrupted
+ * operation started and throws away anything it had staged.
+ */
+async function revertInterrupted(journal) {
+  const operation = startOperation("rollback");
+  try {
+    for (const [component, version] of Object.entries(journal.previous || {})) {
+      if (!version) {
+        logger.info(`ℹ️ No ${component} was in use before the interrupted ${journal.operation}; leaving it as is.`);
+        continue;
+      }
+      const change = await revertComponent(component, version);
+      if (change) {
+        operation.changes.push(change);
+      }
+    }
+    await runCommand(`sudo rm -rf ${paths.stagingDir()}`, { kind: "delete" });
+    if (fs.existsSync(tomcatUnitPath()) && journal.previous && journal.previous.tomcat) {
+      await restartTomcat();
+    }
+    if (operation.changes.length) {
+      await recordOperation(operation, "success");
+    }
+  } catch (error) {
+    await recordOperation(operation, "failed", error);
+    throw error;
+  }
+}
+
+/**
+ * Resumes or reverts the interrupted operation, if there is one.
+ *
+ * @param {"resume"|"revert"} action
+ * @returns {Promise<boolean>} - Whether an interrupted operation was found.
+ */
+async function recoverInterrupted(action) {
+  if (!ACTIONS.includes(action)) {
+    throw new ConfigError(`🚨 Unknown recovery action "${action}"; expected one of: ${ACTIONS.join(", ")}.`);
+  }
+  const journal = interruptedOperation();
+  if (!journal) {
+    return false;
+  }
+  describeJournal(journal);
+
+  if (action === "revert") {
+    logger.info(`🔄 Reverting the interrupted ${journal.operation}...`);
+    await revertInterrupted(journal);
+    await removeJournal();
+    logger.info("✅ Interrupted operation reverted.");
+  } else {
+    logger.info(`🔁 Resuming the interrupted ${journal.operation}...`);
+    await removeJournal();
+    await OPERATIONS[journal.operation](journal.args || {});
+    logger.info("✅ Interrupted operation resumed.");
+  }
+  return true;
+}
+
+/**
+ * Runs before commands that change the host. An interrupted operation is
+ * recovered automatically in unattended mode; otherwise it is reported and
+ * the command refuses to run until `java-manager recover` was used.
+ *
+ * @param {{ unattended?: boolean }} [options]
+ */
+async function guardInterrupted(options = {}) {
+  const journal = interruptedOperation();
+  if (!journal) {
+    return;
+  }
+  if (options.unattended) {
+    await recoverInterrupted(unattendedAction());
+    return;
+  }
+  describeJournal(journal);
+  throw new InterruptedOperationError(
+    "🚨 Resolve the interrupted operation first: `java-manager recover --resume` finishes it, `java-manager recover --revert` undoes it."
+  );
+}
+
+/**
+ * `java-manager recover`: reports an interrupted operation, and resumes or
+ * reverts it when asked to.
+ *
+ * @param {{ resume?: boolean, revert?: boolean }} [options]
+ */
+async function recoverCommand(options = {}) {
+  if (options.resume && options.revert) {
+    throw new ConfigError("🚨 Choose either --resume or --revert.");
+  }
+  const action = options.resume ? "resume" : options.revert ? "revert" : null;
+  if (!action) {
+    const journal = readJournal();
+    if (journal) {
+      describeJournal(journal);
+      logger.info("ℹ️ Run `java-manager recover --resume` or `java-manager recover --revert`.");
+    } else {
+      logger.info("✅ No interrupted operation found.");
+    }
+    return;
+  }
+  if (!(await recoverInterrupted(action))) {
+    logger.info("✅ No interrupted operation found.");
+  }
+}
+
+module.exports = { ACTIONS, recoverInterrupted, guardInterrupted, recoverCommand };
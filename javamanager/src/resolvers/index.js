@@ -0,0 +1,117 @@
+const fs = require("fs");
+const path = require("path");
+const { runCommand, writeFile, isDryRun } = require("../executor");
+const paths = require("../paths");
+const { readHostSettings } = require("../settings");
+const logger = require("../logger");
+const { DownloadError } = require("../errors");
+const java = require("./java");
+const tomcat = require("./tomcat");
+
+/**
+ * Resolvers turn a config candidate that names a release instead of an
+ * archive (e.g. `{ "vendor": "temurin" }` for Java 21, or Tomcat "10.1.x")
+ * into a concrete one: `packageUrlUnix`, a checksum, and the `build` or
+ * Tomcat `version` that was picked. Candidates with `packageUrlUnix` are
+ * explicit and used as they are.
+ *
+ * Resolver settings come from `mave.resolvers.<component>`. The last
+ * resolution of every candidate is kept in `<cache>/resolved.json`; it is
+ * used under --offline and whenever the release metadata cannot be fetched.
+ */
+const RESOLVERS = {
+  java: { needsResolving: java.needsResolving, sourceFor: java.metadataUrlFor, resolve: java.resolveJava },
+  tomcat: { needsResolving: tomcat.needsResolving, sourceFor: tomcat.distUrlFor, resolve: tomcat.resolveTomcat },
+};
+
+// What a resolution picked, for messages
+function picked(artifact) {
+  return artifact.build || artifact.version || artifact.packageUrlUnix;
+}
+
+function resolvedCachePath() {
+  return path.join(paths.cacheDir(), "resolved.json");
+}
+
+function readResolvedCache() {
+  try {
+    return JSON.parse(fs.readFileSync(resolvedCachePath(), "utf-8"));
+  } catch (error) {
+    return {};
+  }
+}
+
+async function saveResolved(key, entry) {
+  if (isDryRun()) {
+    return;
+  }
+  const cache = readResolvedCache();
+  cache[key] = entry;
+  await runCommand(`sudo mkdir -p ${paths.cacheDir()}`);
+  await writeFile(resolvedCachePath(), `${JSON.stringify(cache, null, 2)}\n`, { mode: "644" });
+}
+
+function resolutionKey(component, dependency) {
+  const settings = readHostSettings("resolvers")[component] || {};
+  return `${component} ${dependency.version} ${RESOLVERS[component].sourceFor(dependency, settings)}`;
+}
+
+/**
+ * The last resolution of a candidate, without looking anything up.
+ *
+ * @returns {object | null} - What `resolveArtifact` picked last time, with `resolvedAt`.
+ */
+function lastResolution(component, dependency) {
+  const resolver = RESOLVERS[component];
+  if (!resolver || !resolver.needsResolving(dependency)) {
+    return null;
+  }
+  return readResolvedCache()[resolutionKey(component, dependency)] || null;
+}
+
+/**
+ * Fills in the archive of a candidate that only names a release.
+ *
+ * @param {string} component - "java" or "tomcat".
+ * @param {object} dependency - A candidate from `resolveDependency`.
+ * @param {{ offline?: boolean }} [options] - Offline, only the last resolution is used.
+ * @returns {Promise<object>} - The candidate with `packageUrlUnix` and its checksum.
+ * @throws {DownloadError}
+ */
+async function resolveArtifact(component, dependency, options = {}) {
+  const resolver = RESOLVERS[component];
+  if (!resolver || !resolver.needsResolving(dependency)) {
+    return dependency;
+  }
+
+  const settings = readHostSettings("resolvers")[component] || {};
+  const source = resolver.sourceFor(dependency, settings);
+  const key = resolutionKey(component, dependency);
+  const cached = readResolvedCache()[key];
+  const label = `${component} ${dependency.version}`;
+
+  let artifact;
+  if (options.offline) {
+    if (!cached) {
+      throw new DownloadError(`🚨 ${label} has never been resolved from ${source} and --offline is set.`, "offline", source);
+    }
+    logger.info(`🔎 Using the ${label} build resolved at ${cached.resolvedAt} (--offline): ${picked(cached)}`);
+    artifact = cached;
+  } else {
+    try {
+      artifact = { ...(await resolver.resolve(dependency, settings)), resolvedAt: new Date().toISOString() };
+      await saveResolved(key, artifact);
+      logger.info(`🔎 Resolved ${label} to ${picked(artifact)}`);
+    } catch (error) {
+      if (!cached) {
+        throw error;
+      }
+      logger.warn(error.message);
+      logger.warn(`⚠️ Falling back to the ${label} build resolved at ${cached.resolvedAt}: ${picked(cached)}`);
+      artifact = cached;
+    }
+  }
+  return { ...dependency, ...artifact };
+}
+
+module.exports = { resolveArtifact, lastResolution };
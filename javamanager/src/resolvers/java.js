@@ -0,0 +1,189 @@
+const fs = require("fs");
+const { fileURLToPath } = require("url");
+const { fetchContent, resolveRedirect } = require("../download");
+const { compareVersions } = require("../versions");
+const { DownloadError } = require("../errors");
+
+/**
+ * Resolves `{ "vendor": "temurin" }` Java candidates to the latest GA build
+ * of the candidate's major version, from each vendor's release metadata:
+ *
+ *   temurin    Adoptium API (JSON), sha256 included
+ *   zulu       Azul metadata API (JSON), sha256 included
+ *   corretto   corretto.aws "latest_sha256" checksum; the archive is the matching
+ *              "latest" URL, pinned to the versioned file it redirects to
+ *   openjdk    jdk.java.net download page (HTML) with .sha256 files next to the archives;
+ *              releases older than the current one are on https://jdk.java.net/archive/
+ *
+ * The metadata URL is a template with `{version}` (major version) and `{arch}`
+ * placeholders. Set `mave.resolvers.java.<vendor>.metadataUrl`, or `metadataUrl`
+ * on a single candidate, to use a mirror or a local `file://` fixture.
+ *
+ * A resolved candidate's `version` is the GA build (e.g. "21.0.4+7") so every
+ * build gets a directory of its own and a newer one of the same major is an
+ * upgrade; `major` keeps the version it was resolved from.
+ */
+const VENDORS = {
+  temurin: {
+    metadataUrl:
+      "https://api.adoptium.net/v3/assets/latest/{version}/hotspot?architecture={arch}&image_type=jdk&os=linux&vendor=eclipse",
+    parse: parseTemurin,
+  },
+  zulu: {
+    metadataUrl:
+      "https://api.azul.com/metadata/v1/zulu/packages/?java_version={version}&os=linux&arch={arch}" +
+      "&archive_type=tar.gz&java_package_type=jdk&javafx_bundled=false&release_status=ga&latest=true&include_fields=sha256_hash",
+    parse: parseZulu,
+  },
+  corretto: {
+    metadataUrl: "https://corretto.aws/downloads/latest_sha256/amazon-corretto-{version}-{arch}-linux-jdk.tar.gz",
+    parse: parseCorretto,
+  },
+  openjdk: {
+    metadataUrl: "https://jdk.java.net/{version}/",
+    parse: parseOpenJdk,
+  },
+};
+
+const ARCHITECTURES = { x64: "x64", arm64: "aarch64" };
+
+function invalidMetadata(message, url) {
+  return new DownloadError(`🚨 ${message}: ${url}`, "metadata", url);
+}
+
+function parseJson(content, url) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw invalidMetadata(`Release metadata is not valid JSON (${error.message})`, url);
+  }
+}
+
+/**
+ * Adoptium: `[{ binary: { image_type, package: { link, checksum } }, release_name: "jdk-21.0.4+7" }]`.
+ */
+function parseTemurin(content, { url }) {
+  const releases = parseJson(content, url);
+  const release = [].concat(releases).find(
+    (entry) => entry && entry.binary && entry.binary.image_type === "jdk" && entry.binary.package
+  );
+  if (!release) {
+    return null;
+  }
+  return {
+    build: String(release.release_name || "").replace(/^jdk-?/, ""),
+    packageUrlUnix: release.binary.package.link,
+    sha256: release.binary.package.checksum,
+  };
+}
+
+/**
+ * Azul: `[{ download_url, java_version: [21, 0, 4], openjdk_build_number, sha256_hash }]`.
+ */
+function parseZulu(content, { url }) {
+  const packages = parseJson(content, url);
+  const latest = [].concat(packages).find((entry) => entry && entry.download_url);
+  if (!latest) {
+    return null;
+  }
+  if (!latest.sha256_hash) {
+    throw invalidMetadata(`No sha256_hash for ${latest.download_url} in the release metadata`, url);
+  }
+  const build = latest.java_version.join(".");
+  return {
+    build: latest.openjdk_build_number ? `${build}+${latest.openjdk_build_number}` : build,
+    packageUrlUnix: latest.download_url,
+    sha256: latest.sha256_hash,
+  };
+}
+
+/**
+ * Corretto: the checksum URL holds the bare sha256 of what the "latest" URL
+ * serves, e.g. `.../latest/amazon-corretto-21-x64-linux-jdk.tar.gz`, which
+ * redirects to `.../resources/21.0.4.7.1/amazon-corretto-21.0.4.7.1-linux-x64.tar.gz`.
+ */
+async function parseCorretto(content, { url }) {
+  const sha256 = content.trim().split(/\s+/)[0];
+  if (!/^[0-9a-f]{64}$/i.test(sha256)) {
+    throw invalidMetadata("Expected a sha256 checksum", url);
+  }
+  const latest = url.replace("/latest_sha256/", "/latest/");
+  const packageUrlUnix = latest.startsWith("file://") ? latest : await resolveRedirect(latest);
+  const build = (packageUrlUnix.match(/\/resources\/([^/]+)\//) || [])[1] || null;
+  return { build, packageUrlUnix, sha256 };
+}
+
+/**
+ * jdk.java.net: links to `openjdk-21.0.2_linux-x64_bin.tar.gz`; the newest
+ * one of the major version wins.
+ */
+function parseOpenJdk(content, { url, version, arch }) {
+  const major = version.replace(/[.+]/g, "\\$&");
+  const pattern = new RegExp(`href="([^"]*/openjdk-(${major}(?:\\.[\\d.]+)?)_linux-${arch}_bin\\.tar\\.gz)"`, "g");
+  const builds = [...content.matchAll(pattern)].map((match) => ({
+    build: match[2],
+    packageUrlUnix: new URL(match[1], url).href,
+  }));
+  if (!builds.length) {
+    return null;
+  }
+  const newest = builds.sort((a, b) => compareVersions(a.build, b.build)).pop();
+  return { ...newest, checksumUrl: `${newest.packageUrlUnix}.sha256` };
+}
+
+async function readMetadata(url) {
+  if (url.startsWith("file://")) {
+    const file = fileURLToPath(url);
+    if (!fs.existsSync(file)) {
+      throw new DownloadError(`🚨 Release metadata not found: ${file}`, "not-found", url);
+    }
+    return fs.readFileSync(file, "utf-8");
+  }
+  return (await fetchContent(url)).toString("utf-8");
+}
+
+/**
+ * The metadata URL for a candidate, with its placeholders filled in.
+ */
+function metadataUrlFor(dependency, settings = {}) {
+  const vendor = VENDORS[dependency.vendor];
+  const template = dependency.metadataUrl || (settings[dependency.vendor] || {}).metadataUrl || vendor.metadataUrl;
+  const arch = ARCHITECTURES[process.arch] || process.arch;
+  return template.replace(/\{version\}/g, encodeURIComponent(dependency.version)).replace(/\{arch\}/g, arch);
+}
+
+/**
+ * @param {object} dependency - A resolved candidate with `vendor` and `version` (the major version).
+ * @param {object} [settings] - `mave.resolvers.java`.
+ * @returns {Promise<{ vendor: string, build: string | null, version: string, major: string,
+ *   packageUrlUnix: string, sha256?: string, checksumUrl?: string, metadataUrl: string }>}
+ * @throws {DownloadError}
+ */
+async function resolveJava(dependency, settings = {}) {
+  const url = metadataUrlFor(dependency, settings);
+  const arch = ARCHITECTURES[process.arch] || process.arch;
+  const artifact = await VENDORS[dependency.vendor].parse(await readMetadata(url), {
+    url,
+    version: dependency.version,
+    arch,
+  });
+  if (!artifact) {
+    throw new DownloadError(`🚨 No ${dependency.vendor} GA build of Java ${dependency.version} for linux-${arch} in ${url}`, "not-found", url);
+  }
+  return {
+    vendor: dependency.vendor,
+    metadataUrl: url,
+    ...artifact,
+    version: artifact.build || dependency.version,
+    major: dependency.version,
+  };
+}
+
+/**
+ * Whether a candidate is resolved through release metadata.
+ */
+function needsResolving(dependency) {
+  return Boolean(dependency.vendor) && !dependency.packageUrlUnix;
+}
+
+module.exports = { VENDORS, metadataUrlFor, needsResolving, resolveJava };
@@ -0,0 +1,260 @@
+const fs = require("fs");
+const { fileURLToPath } = require("url");
+const { fetchContent } = require("../download");
+const { DownloadError } = require("../errors");
+
+/**
+ * Resolves Tomcat candidates without a `packageUrlUnix` to a release listed
+ * in the Apache distribution directories. The candidate version is a range:
+ *
+ *   "10.1.x", "10.x"     any release with that prefix
+ *   ">=10.1.30 <11"      comparators (>=, >, <=, <, =) that must all hold
+ *   "9.0.100"            exactly that release
+ *
+ * and the newest matching release wins. `dlcdn.apache.org` only carries the
+ * current releases, so when none of them matches (or it cannot be reached)
+ * `archive.apache.org`, which keeps every release, is tried next. Set
+ * `mave.resolvers.tomcat.distUrls` to use other mirrors or a local `file://`
+ * directory laid out the same way (`tomcat-10/v10.1.34/bin/...`).
+ */
+const DIST_URLS = ["https://dlcdn.apache.org/tomcat/", "https://archive.apache.org/dist/tomcat/"];
+
+const VERSION_PATTERN = /^\d+(\.\d+)*$/;
+const COMPARATOR_PATTERN = /^(>=|<=|>|<|=)?(\d+(?:\.\d+)*)$/;
+const PREFIX_PATTERN = /^(\d+(?:\.\d+)*)\.[x*]$/i;
+
+/**
+ * Orders releases numerically, "10.1" and "10.1.0" being the same.
+ */
+function compareReleases(a, b) {
+  const left = a.split(".").map(Number);
+  const right = b.split(".").map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference) return difference;
+  }
+  return 0;
+}
+
+function nextPrefix(prefix) {
+  const parts = prefix.split(".").map(Number);
+  parts[parts.length - 1] += 1;
+  return parts.join(".");
+}
+
+/**
+ * Parses a range into the bounds every matching version lies between.
+ *
+ * @param {string} range - e.g. "10.1.x" or ">=10.1.30 <11".
+ * @returns {{ lower: { version: string, inclusive: boolean } | null,
+ *   upper: { version: string, inclusive: boolean } | null } | null} - `null` when it is not a range.
+ */
+function parseRange(range) {
+  if (typeof range !== "string" || !range.trim()) {
+    return null;
+  }
+  const prefix = range.trim().match(PREFIX_PATTERN);
+  if (prefix) {
+    return {
+      lower: { version: prefix[1], inclusive: true },
+      upper: { version: nextPrefix(prefix[1]), inclusive: false },
+    };
+  }
+
+  const bounds = { lower: null, upper: null };
+  const tighter = (bound, next, direction) => {
+    if (!bound) return next;
+    const order = compareReleases(next.version, bound.version) * direction;
+    return order > 0 || (order === 0 && !next.inclusive) ? next : bound;
+  };
+  for (const part of range.trim().split(/\s+/)) {
+    const match = part.match(COMPARATOR_PATTERN);
+    if (!match) {
+      return null;
+    }
+    const [, operator = "=", version] = match;
+    if (operator.startsWith(">") || operator === "=") {
+      bounds.lower = tighter(bounds.lower, { version, inclusive: operator !== ">" }, 1);
+    }
+    if (operator.startsWith("<") || operator === "=") {
+      bounds.upper = tighter(bounds.upper, { version, inclusive: operator !== "<" }, -1);
+    }
+  }
+  return bounds;
+}
+
+/**
+ * Whether `version` lies within `range`.
+ *
+ * @param {string} version - A release like "10.1.34".
+ * @param {string} range - Anything `parseRange` accepts.
+ */
+function satisfies(version, range) {
+  const bounds = parseRange(range);
+  if (!bounds || !VERSION_PATTERN.test(version)) {
+    return false;
+  }
+  const { lower, upper } = bounds;
+  if (lower) {
+    const order = compareReleases(version, lower.version);
+    if (order < 0 || (order === 0 && !lower.inclusive)) return false;
+  }
+  if (upper) {
+    const order = compareReleases(version, upper.version);
+    if (order > 0 || (order === 0 && !upper.inclusive)) return false;
+  }
+  return true;
+}
+
+/**
+ * Whether a range can match more than one release, i.e. picks up new patches.
+ */
+function isRange(range) {
+  return !VERSION_PATTERN.test(String(range).trim()) && parseRange(range) !== null;
+}
+
+/**
+ * Whether `resolved` (from `resolveTomcat`) is a newer patch within the range
+ * the installed release was picked from.
+ *
+ * @param {string} installed - e.g. "10.1.34".
+ * @param {{ version: string, range?: string }} resolved
+ */
+function isNewerPatch(installed, resolved) {
+  return Boolean(
+    installed &&
+      resolved &&
+      resolved.range &&
+      isRange(resolved.range) &&
+      satisfies(installed, resolved.range) &&
+      compareReleases(resolved.version, installed) > 0
+  );
+}
+
+/**
+ * Whether some release of a major version can lie within the bounds.
+ */
+function majorInRange(major, { lower, upper }) {
+  if (lower && compareReleases(String(major + 1), lower.version) <= 0) {
+    return false;
+  }
+  if (upper) {
+    const order = compareReleases(String(major), upper.version);
+    if (order > 0 || (order === 0 && !upper.inclusive)) return false;
+  }
+  return true;
+}
+
+/**
+ * Entries of a directory listing: the links of an Apache index page, or the
+ * files of a local directory, directories ending in "/".
+ */
+async function readListing(url) {
+  if (url.startsWith("file://")) {
+    const directory = fileURLToPath(url);
+    if (!fs.existsSync(directory)) {
+      throw new DownloadError(`🚨 Release directory not found: ${directory}`, "not-found", url);
+    }
+    return fs
+      .readdirSync(directory, { withFileTypes: true })
+      .map((entry) => (entry.isDirectory() ? `${entry.name}/` : entry.name));
+  }
+  const html = (await fetchContent(url)).toString("utf-8");
+  return [...html.matchAll(/href="([^"?#]+)"/g)].map((match) => decodeURIComponent(match[1]));
+}
+
+/**
+ * The releases matching `range` in one distribution directory, newest first.
+ */
+async function listReleases(distUrl, range) {
+  const bounds = parseRange(range);
+  const majors = (await readListing(distUrl))
+    .map((entry) => (entry.match(/^tomcat-(\d+)\/$/) || [])[1])
+    .filter(Boolean)
+    .map(Number)
+    .filter((major) => majorInRange(major, bounds));
+
+  const releases = [];
+  for (const major of majors) {
+    const majorUrl = new URL(`tomcat-${major}/`, distUrl).href;
+    for (const entry of await readListing(majorUrl)) {
+      const version = (entry.match(/^v(\d+(?:\.\d+)*)\/$/) || [])[1];
+      if (version && satisfies(version, range)) {
+        releases.push({ version, majorUrl });
+      }
+    }
+  }
+  return releases.sort((a, b) => compareReleases(b.version, a.version));
+}
+
+function distUrlsFor(dependency, settings = {}) {
+  const urls = [].concat(dependency.distUrl || settings.distUrls || DIST_URLS);
+  return urls.map((url) => (url.endsWith("/") ? url : `${url}/`));
+}
+
+/**
+ * The first distribution directory a candidate is looked up in.
+ */
+function distUrlFor(dependency, settings = {}) {
+  return distUrlsFor(dependency, settings)[0];
+}
+
+/**
+ * @param {object} dependency - A resolved candidate whose `version` is a range.
+ * @param {object} [settings] - `mave.resolvers.tomcat`.
+ * @returns {Promise<{ version: string, range: string, packageUrlUnix: string, checksumUrl: string,
+ *   signatureUrl: string, gpgKeyUrl: string, distUrl: string }>}
+ * @throws {DownloadError}
+ */
+async function resolveTomcat(dependency, settings = {}) {
+  const range = dependency.version;
+  const distUrls = distUrlsFor(dependency, settings);
+  let lastError = null;
+
+  for (const distUrl of distUrls) {
+    let releases;
+    try {
+      releases = await listReleases(distUrl, range);
+    } catch (error) {
+      lastError = error;
+      continue;
+    }
+    if (!releases.length) {
+      continue;
+    }
+    const { version, majorUrl } = releases[0];
+    const packageUrlUnix = new URL(`v${version}/bin/apache-tomcat-${version}.tar.gz`, majorUrl).href;
+    return {
+      version,
+      range,
+      packageUrlUnix,
+      checksumUrl: `${packageUrlUnix}.sha512`,
+      signatureUrl: `${packageUrlUnix}.asc`,
+      gpgKeyUrl: new URL("KEYS", majorUrl).href,
+      distUrl,
+    };
+  }
+
+  if (lastError && lastError.reason !== "not-found") {
+    throw lastError;
+  }
+  throw new DownloadError(`🚨 No Tomcat release matches ${range} in ${distUrls.join(" or ")}`, "not-found", distUrls[0]);
+}
+
+/**
+ * Whether a candidate is resolved from the distribution directories.
+ */
+function needsResolving(dependency) {
+  return !dependency.packageUrlUnix && parseRange(dependency.version) !== null;
+}
+
+module.exports = {
+  DIST_URLS,
+  parseRange,
+  satisfies,
+  isRange,
+  isNewerPatch,
+  distUrlFor,
+  needsResolving,
+  resolveTomcat,
+};
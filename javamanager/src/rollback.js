@@ -1,151 +1,149 @@
-const { exec } = require("child_process");
 const fs = require("fs");
-const path = require("path");
-
-function runCommand(command, shell = "/bin/bash") {
-  return new Promise((resolve, reject) => {
-    exec(command, { shell }, (error, stdout, stderr) => {
-      if (error) {
-        console.error(`❌ Command failed: ${command}`);
-        console.error(`Error: ${stderr}`);
-        reject(stderr || error.message);
-      } else {
-        resolve(stdout.trim());
-      }
-    });
-  });
-}
+const { runCommand, isDryRun } = require("./executor");
+const paths = require("./paths");
+const { startOperation, recordOperation, lastRevertibleChange, recordedOrigin } = require("./state");
+const { writeTomcatUnit, restartTomcat, removeLegacyTomcatUnits, chownToServiceAccount, tomcatUnitPath } = require("./service");
+const { currentVersion } = require("./versions");
+const { findBackup } = require("./backups");
+const { withJournal } = require("./journal");
+const { restoreVersion } = require("./lifecycle");
+const { componentNames, definitionFor } = require("./components");
+const { waitForTomcat } = require("./health");
+const logger = require("./logger");
+const { ConfigError } = require("./errors");
 
 /**
- * Rolls back to the latest backed-up version of Java.
+ * Works out what a rollback of `component` goes back to: the requested
+ * version, or — without one — the version the last recorded upgrade replaced.
+ * `backup` is where to restore it from if it is no longer installed.
+ *
+ * @returns {{ from: string | null, to: string, backup: string | null }}
  */
-async function rollbackJava() {
-  try {
-    const javaBackupsDir = `/opt/java_backups`;
-    const latestJavaBackup = await runCommand(`ls ${javaBackupsDir} | grep 'openjdk-' | sort -V | tail -n 1`);
-
-    if (!latestJavaBackup) {
-      console.error("🚨 No Java backup found for rollback.");
-      return;
+function rollbackTarget(component, label, version) {
+  if (version) {
+    const backup = findBackup(component, version);
+    if (!isDryRun() && !fs.existsSync(paths.componentDir(component, version)) && !backup) {
+      throw new ConfigError(`🚨 ${label} ${version} is neither installed nor backed up (see \`java-manager backups list\`).`);
     }
+    return { from: currentVersion(component), to: version, backup: backup && backup.path };
+  }
 
-    const javaBackupDir = path.join(javaBackupsDir, latestJavaBackup);
-    const javaDir = `/opt/${latestJavaBackup}`;
-
-    console.log(`🔄 Rolling back to Java from backup: ${latestJavaBackup}...`);
-
-    // Remove the failed upgrade version from /opt/
-    console.log("🗑️ Removing all Java versions from /opt/...");
-    await runCommand(`sudo rm -rf /opt/openjdk-*`);
-
-    // Restore Java from backup
-    console.log(`♻️ Restoring Java from backup: ${latestJavaBackup}...`);
-    await runCommand(`sudo cp -r ${javaBackupDir} ${javaDir}`);
-
-    // ✅ Set JAVA_HOME Environment Variables
-    console.log("🔧 Setting JAVA_HOME...");
-    const envCommands = `
-      sudo sed -i '/^JAVA_HOME=/d' /etc/environment &&
-      echo 'JAVA_HOME="${javaDir}"' | sudo tee -a /etc/environment &&
-      . /etc/environment
-    `;
-    await runCommand(envCommands);
-
-    console.log(`✅ Java rollback to ${latestJavaBackup} completed successfully.`);
-  } catch (error) {
-    console.error("❌ Java rollback failed:", error);
+  const change = lastRevertibleChange(component);
+  if (!change) {
+    throw new ConfigError(`🚨 No recorded ${label} upgrade with a backup to roll back to (see \`java-manager history\`).`);
+  }
+  // The recorded backup may have been pruned since; any newer snapshot of that version will do
+  const newest = findBackup(component, change.from);
+  const backup = fs.existsSync(change.backup) ? change.backup : newest && newest.path;
+  if (!isDryRun() && !fs.existsSync(paths.componentDir(component, change.from)) && !backup) {
+    throw new ConfigError(`🚨 ${label} ${change.from} is gone and no backup of it is left.`);
   }
+  return { from: change.to, to: change.from, backup };
 }
 
 /**
- * Rolls back to the latest backed-up version of Tomcat.
+ * Rolls a component back to `version`, or to the version the last recorded
+ * upgrade replaced. The version rolled back from stays installed next to it.
+ *
+ * @param {string} component - e.g. "java", "tomcat" or "maven".
+ * @param {string} [version]
+ * @returns {Promise<object>} - The ledger change describing the rollback.
  */
-async function rollbackTomcat() {
+async function rollbackComponent(component, version) {
+  const { label, service, executables } = definitionFor(component);
   try {
-    const tomcatBackupsDir = `/opt/tomcat_backups`;
-    const latestTomcatBackup = await runCommand(`ls ${tomcatBackupsDir} | grep 'tomcat-' | sort -V | tail -n 1`);
-
-    if (!latestTomcatBackup) {
-      console.error("🚨 No Tomcat backup found for rollback.");
-      return;
+    const { from, to, backup } = rollbackTarget(component, label, version);
+    const installDir = paths.componentDir(component, to);
+
+    logger.info(`🔄 Rolling back ${label} ${from || "(none)"} to ${to}...`);
+    if (service) {
+      // ✅ Make sure the single tomcat.service is in place; `rollback` restarts it
+      logger.info("⚙️ Restoring Tomcat systemd service...");
+      await removeLegacyTomcatUnits();
+      await writeTomcatUnit();
     }
 
-    const tomcatBackupDir = path.join(tomcatBackupsDir, latestTomcatBackup);
-    const tomcatDir = `/opt/${latestTomcatBackup}`;
-
-    console.log(`🔄 Rolling back to Tomcat from backup: ${latestTomcatBackup}...`);
-
-    // Stop and disable all Tomcat services before rollback
-    console.log("🛑 Stopping all Tomcat services...");
-    await runCommand(`sudo systemctl stop tomcat* || true`);
-    await runCommand(`sudo systemctl disable tomcat* || true`);
-
-    // Remove the failed upgrade version from /opt/
-    console.log("🗑️ Removing all Tomcat versions from /opt/...");
-    await runCommand(`sudo rm -rf /opt/tomcat-*`);
-
-    // Restore Tomcat from backup
-    console.log(`♻️ Restoring Tomcat from backup: ${latestTomcatBackup}...`);
-    await runCommand(`sudo cp -r ${tomcatBackupDir} ${tomcatDir}`);
-
-    // ✅ Set Permissions
-    console.log("🔧 Setting Tomcat user permissions...");
-    await runCommand(`sudo chown -R tomcat:tomcat ${tomcatDir}`);
-    await runCommand(`sudo chmod -R 755 ${tomcatDir}`);
-    await runCommand(`sudo chmod -R +x ${tomcatDir}/bin/*.sh`);
+    // JAVA_HOME and the other homes point at the current links, so switching them is all that is
+    // needed; Tomcat picks a new JDK up on its restart (see `rollback`)
+    await restoreVersion(component, to, backup);
 
-    // ✅ Restore Tomcat systemd service
-    console.log("⚙️ Restoring Tomcat systemd service...");
-    const tomcatVersion = latestTomcatBackup.replace("tomcat-", ""); // Extracts "9.0.99"
-    const serviceFilePath = `/etc/systemd/system/tomcat-${tomcatVersion}.service`;
-    const javaHome = await runCommand("echo $JAVA_HOME");
-
-    const serviceFileContent = `
-[Unit]
-Description=Apache Tomcat ${tomcatVersion}
-After=network.target
-
-[Service]
-User=tomcat
-Group=tomcat
-Environment="JAVA_HOME=${javaHome}"
-Environment="CATALINA_HOME=${tomcatDir}"
-ExecStart=${tomcatDir}/bin/catalina.sh run
-ExecStop=${tomcatDir}/bin/shutdown.sh
-Restart=always
-
-[Install]
-WantedBy=multi-user.target
-`;
-    await runCommand(`echo '${serviceFileContent}' | sudo tee ${serviceFilePath}`);
-    await runCommand(`sudo chmod 644 ${serviceFilePath}`);
-
-    // ✅ Restart Tomcat Service
-    console.log("🔄 Reloading systemd and starting Tomcat...");
-    await runCommand(`sudo systemctl daemon-reload`);
-    await runCommand(`sudo systemctl enable tomcat-${tomcatVersion}`);
-    await runCommand(`sudo systemctl restart tomcat-${tomcatVersion}`);
+    if (service) {
+      // ✅ Set Permissions
+      logger.info(`🔧 Setting ${label} user permissions...`);
+      await chownToServiceAccount(installDir);
+      await runCommand(`sudo chmod -R 755 ${installDir}`);
+    }
+    for (const pattern of executables) {
+      await runCommand(`sudo chmod -R +x ${installDir}/${pattern}`);
+    }
 
-    console.log(`✅ Tomcat rollback to ${latestTomcatBackup} completed successfully.`);
+    logger.info(`✅ ${label} rollback to ${to} completed successfully.`);
+    if (from) {
+      logger.info(`ℹ️ ${label} ${from} is still installed; \`java-manager use ${component} ${from}\` switches back.`);
+    }
+    return { component, from, to, path: installDir, ...recordedOrigin(component, to), backup: null };
   } catch (error) {
-    console.error("❌ Tomcat rollback failed:", error);
+    logger.error(`❌ ${label} rollback failed:`, error.message || error);
+    throw error;
   }
 }
 
+function rollbackJava(version) {
+  return rollbackComponent("java", version);
+}
+
+function rollbackTomcat(version) {
+  return rollbackComponent("tomcat", version);
+}
+
 /**
- * Main rollback function - Rolls back both Java & Tomcat.
+ * Main rollback function - Rolls back every component a revertible upgrade is
+ * recorded for to what that upgrade replaced, or only the components given a
+ * target version, then restarts Tomcat when Java or Tomcat changed and waits
+ * for its health check.
+ *
+ * @param {Object<string, string>} [targets] - Version per component, e.g. `{ java: "18" }` from `--java 18`.
  */
-async function rollback() {
+async function rollback(targets = {}) {
+  const operation = startOperation("rollback");
+  const explicit = componentNames().some((component) => targets[component]);
+  const steps = componentNames()
+    .filter((component) => (explicit ? targets[component] : lastRevertibleChange(component)))
+    .map((component) => [component, targets[component]]);
+
   try {
-    console.log("🔄 Starting rollback process...");
+    logger.info("🔄 Starting rollback process...");
+    if (!steps.length) {
+      throw new ConfigError("🚨 No recorded upgrade with a backup to roll back to (see `java-manager history`).");
+    }
 
-    await rollbackJava();
-    await rollbackTomcat();
+    // Each component is rolled back on its own; one failing leaves the other's result in place
+    let failure = null;
+    for (const [component, version] of steps) {
+      try {
+        operation.changes.push(await rollbackComponent(component, version));
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+
+    // ✅ Restart Tomcat once on the JDK and Tomcat now current and wait for it to pass the health check
+    const restart = operation.changes.some(({ component }) => component === "java" || definitionFor(component).service);
+    if (restart && fs.existsSync(tomcatUnitPath())) {
+      await restartTomcat();
+      await waitForTomcat();
+    }
+    if (failure) {
+      throw failure;
+    }
 
-    console.log("✅ Rollback process completed successfully.");
+    await recordOperation(operation, "success");
+    logger.info("✅ Rollback process completed successfully.");
   } catch (error) {
-    console.error("🚨 Rollback failed:", error);
+    logger.error("🚨 Rollback failed:", error.message || error);
+    await recordOperation(operation, "failed", error);
+    throw error;
   }
 }
 
-module.exports = { rollbackJava, rollbackTomcat, rollback };
+module.exports = { rollbackComponent, rollbackJava, rollbackTomcat, rollback: withJournal("rollback", rollback) };
@@ -0,0 +1,191 @@
+/**
+ * Time handling for the updater daemon: intervals ("30m", "6h"), five-field
+ * cron expressions ("0 3 * * 1-5") and maintenance windows
+ * ({ days: "sat,sun", start: "02:00", end: "05:00" }). Everything is in the
+ * host's local time.
+ */
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7, names: DAY_NAMES },
+];
+
+/**
+ * @param {string|number} value - Milliseconds, or a number with a unit: "90s", "30m", "6h", "1d".
+ * @returns {number} - Milliseconds.
+ * @throws {Error} - For anything else.
+ */
+function parseDuration(value) {
+  if (Number.isInteger(value) && value > 0) {
+    return value;
+  }
+  const match = String(value).trim().match(/^(\d+)\s*(ms|s|m|h|d)$/);
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`invalid duration ${JSON.stringify(value)}; use e.g. "30m", "6h" or "1d"`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+function parseCronValue(text, field) {
+  const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = index >= 0 ? index : Number(text);
+  if (!/^\d+$/.test(String(value)) || value < field.min || value > field.max) {
+    throw new Error(`invalid ${field.name} ${JSON.stringify(text)} in cron expression`);
+  }
+  return value;
+}
+
+/**
+ * Expands one cron field ("*", "1-5", "*\/15", "0,30", "mon-fri") into the set of matching values.
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`invalid step in ${field.name} ${JSON.stringify(part)}`);
+    }
+    let [from, to] = [field.min, field.max];
+    if (range !== "*") {
+      const [start, end] = range.split("-");
+      from = parseCronValue(start, field);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseCronValue(end, field);
+    }
+    if (from > to) {
+      throw new Error(`invalid range in ${field.name} ${JSON.stringify(part)}`);
+    }
+    for (let value = from; value <= to; value += step) {
+      // Sunday is both 0 and 7
+      values.add(field.name === "day of week" ? value % 7 : value);
+    }
+  }
+  return values;
+}
+
+/**
+ * @param {string} expression - "minute hour day-of-month month day-of-week".
+ * @returns {object} - A parsed schedule for `nextCronRun`.
+ * @throws {Error} - Naming the invalid field.
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`cron expression ${JSON.stringify(expression)} must have 5 fields`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2] === "*", anyWeekday: parts[4] === "*" };
+}
+
+function cronDayMatches(cron, date) {
+  const dayOfMonth = cron.days.has(date.getDate());
+  const dayOfWeek = cron.weekdays.has(date.getDay());
+  // As in cron(8): when both are restricted, either one matching is enough
+  if (!cron.anyDay && !cron.anyWeekday) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * The first minute after `from` matching the schedule.
+ *
+ * @returns {Date}
+ */
+function nextCronRun(cron, from = new Date()) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(from);
+  limit.setFullYear(limit.getFullYear() + 5);
+  while (date < limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!cronDayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  throw new Error("cron expression never matches");
+}
+
+function parseTime(text) {
+  const match = String(text).match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (!match) {
+    throw new Error(`invalid time ${JSON.stringify(text)}; use HH:MM`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * @param {string|string[]} [days] - "mon-fri", "sat,sun", ["mon", "wed"]; every day when omitted.
+ * @returns {Set<number>}
+ */
+function parseDays(days) {
+  if (days === undefined || days === "*") {
+    return new Set([0, 1, 2, 3, 4, 5, 6]);
+  }
+  const text = Array.isArray(days) ? days.join(",") : String(days);
+  return parseCronField(text, CRON_FIELDS[4]);
+}
+
+/**
+ * @param {{ days?: string|string[], start: string, end: string }} window
+ * @returns {{ days: Set<number>, start: number, end: number }} - Start and end in minutes after midnight.
+ */
+function parseWindow(window) {
+  return { days: parseDays(window.days), start: parseTime(window.start), end: parseTime(window.end) };
+}
+
+function minutesOf(date) {
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+/**
+ * Whether `date` falls inside the window. A window ending before it starts
+ * runs past midnight; its `days` refer to the day it starts on.
+ */
+function inWindow(window, date = new Date()) {
+  const now = minutesOf(date);
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+  if (window.start < window.end) {
+    return window.days.has(today) && now >= window.start && now < window.end;
+  }
+  return (window.days.has(today) && now >= window.start) || (window.days.has(yesterday) && now < window.end);
+}
+
+/**
+ * When the next of the windows opens after `from`.
+ *
+ * @returns {Date | null}
+ */
+function nextWindowStart(windows, from = new Date()) {
+  let next = null;
+  for (const window of windows) {
+    for (let offset = 0; offset <= 7; offset++) {
+      const start = new Date(from);
+      start.setDate(start.getDate() + offset);
+      start.setHours(Math.floor(window.start / 60), window.start % 60, 0, 0);
+      if (start > from && window.days.has(start.getDay())) {
+        next = !next || start < next ? start : next;
+        break;
+      }
+    }
+  }
+  return next;
+}
+
+module.exports = { parseDuration, parseCron, nextCronRun, parseWindow, inWindow, nextWindowStart };
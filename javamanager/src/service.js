@@ -0,0 +1,199 @@
+const fs = require("fs");
+const path = require("path");
+const { runCommand, writeFile, isDryRun } = require("./executor");
+const paths = require("./paths");
+const { readHostSettings } = require("./settings");
+const logger = require("./logger");
+const { ServiceError, asError } = require("./errors");
+const { ensureAccount } = require("./platform");
+
+/**
+ * The Tomcat systemd unit. It has a stable name and only refers to the
+ * `current` links, so switching Java or Tomcat versions never rewrites it.
+ *
+ * Its settings come from `mave.service` in the mavee config:
+ *
+ *   user / group        account Tomcat runs as (default "tomcat")
+ *   catalinaOpts        CATALINA_OPTS, e.g. "-Xms512m -Xmx2g"
+ *   javaOpts            JAVA_OPTS
+ *   limitNOFILE         LimitNOFILE= (default 65536)
+ *   memoryHigh          MemoryHigh=, e.g. "2G"
+ *   memoryMax           MemoryMax=, e.g. "3G"
+ *   restart / restartSec  Restart= and RestartSec= (default "on-failure", 10)
+ *   protectSystem       ProtectSystem= (default "full"; false leaves it out)
+ *   privateTmp          PrivateTmp= (default true)
+ *
+ * Anything else belongs in drop-ins under `tomcat.service.d/`; they are the
+ * admin's and are never rewritten or removed by upgrades.
+ */
+const TOMCAT_SERVICE = "tomcat";
+
+const DEFAULT_SERVICE = {
+  user: "tomcat",
+  group: "tomcat",
+  catalinaOpts: "",
+  javaOpts: "",
+  limitNOFILE: 65536,
+  memoryHigh: "",
+  memoryMax: "",
+  restart: "on-failure",
+  restartSec: 10,
+  protectSystem: "full",
+  privateTmp: true,
+};
+
+function serviceSettings() {
+  return { ...DEFAULT_SERVICE, ...readHostSettings("service") };
+}
+
+function tomcatUnitPath() {
+  return path.join(paths.systemdDir(), `${TOMCAT_SERVICE}.service`);
+}
+
+function dropInDir() {
+  return path.join(paths.systemdDir(), `${TOMCAT_SERVICE}.service.d`);
+}
+
+/**
+ * Renders the unit from the service settings; empty settings leave their
+ * directive out.
+ */
+function tomcatUnitContent(settings = serviceSettings()) {
+  const tomcatHome = paths.tomcatCurrentLink();
+  const directives = [
+    ["User", settings.user],
+    ["Group", settings.group],
+    ["Environment", `"JAVA_HOME=${paths.javaCurrentLink()}"`],
+    ["Environment", `"CATALINA_HOME=${tomcatHome}"`],
+    ["Environment", `"CATALINA_BASE=${tomcatHome}"`],
+    ["Environment", settings.catalinaOpts && `"CATALINA_OPTS=${settings.catalinaOpts}"`],
+    ["Environment", settings.javaOpts && `"JAVA_OPTS=${settings.javaOpts}"`],
+    ["ExecStart", `${tomcatHome}/bin/catalina.sh run`],
+    ["ExecStop", `${tomcatHome}/bin/shutdown.sh`],
+    // The JVM exits with 143 on SIGTERM; that is a clean stop, not a failure
+    ["SuccessExitStatus", "143"],
+    ["Restart", settings.restart],
+    ["RestartSec", settings.restartSec],
+    ["LimitNOFILE", settings.limitNOFILE],
+    ["MemoryHigh", settings.memoryHigh],
+    ["MemoryMax", settings.memoryMax],
+    ["ProtectSystem", settings.protectSystem],
+    ["PrivateTmp", settings.privateTmp ? "true" : ""],
+  ];
+  const service = directives
+    .filter(([, value]) => value !== undefined && value !== null && value !== "" && value !== false)
+    .map(([key, value]) => `${key}=${value}`)
+    .join("\n");
+
+  return `# Managed by java-manager; put local changes in ${TOMCAT_SERVICE}.service.d/*.conf
+[Unit]
+Description=Apache Tomcat
+After=network.target
+
+[Service]
+Type=simple
+${service}
+
+[Install]
+WantedBy=multi-user.target
+`;
+}
+
+/**
+ * Admin drop-ins under `tomcat.service.d/`.
+ *
+ * @returns {string[]}
+ */
+function listDropIns() {
+  if (!fs.existsSync(dropInDir())) {
+    return [];
+  }
+  return fs
+    .readdirSync(dropInDir())
+    .filter((name) => name.endsWith(".conf"))
+    .sort();
+}
+
+/**
+ * Creates the service account Tomcat runs as, if it does not exist yet, with
+ * the distribution's account tools (see platform.js).
+ */
+async function ensureServiceAccount() {
+  const { user, group } = serviceSettings();
+  await ensureAccount(user, group);
+}
+
+/**
+ * Gives a Tomcat installation to the service account.
+ */
+async function chownToServiceAccount(tomcatDir) {
+  const { user, group } = serviceSettings();
+  await runCommand(`sudo chown -R ${user}:${group} ${tomcatDir}`, { kind: "system" });
+}
+
+/**
+ * Writes `tomcat.service` when its content changed, reloads systemd and
+ * enables the unit. Drop-ins are left alone.
+ */
+async function writeTomcatUnit() {
+  const content = tomcatUnitContent();
+  const unitPath = tomcatUnitPath();
+  if (!isDryRun() && fs.existsSync(unitPath) && fs.readFileSync(unitPath, "utf-8") === content) {
+    logger.info(`✅ ${unitPath} is up to date.`);
+  } else {
+    await runCommand(`sudo mkdir -p ${paths.systemdDir()}`);
+    await writeFile(unitPath, content, { mode: "644" });
+  }
+
+  const dropIns = listDropIns();
+  if (dropIns.length) {
+    logger.info(`ℹ️ Keeping drop-ins from ${dropInDir()}: ${dropIns.join(", ")}`);
+  }
+  await asError(ServiceError, async () => {
+    await runCommand("sudo systemctl daemon-reload", { kind: "service" });
+    await runCommand(`sudo systemctl enable ${TOMCAT_SERVICE}`, { kind: "service" });
+  });
+}
+
+/**
+ * Restarts Tomcat through systemd.
+ */
+async function restartTomcat() {
+  await asError(ServiceError, () =>
+    runCommand(`sudo systemctl restart ${TOMCAT_SERVICE}`, {
+      kind: "service",
+      description: `Restart ${TOMCAT_SERVICE}`,
+    })
+  );
+}
+
+/**
+ * Stops, disables and deletes the per-version `tomcat-<version>.service`
+ * units older releases created.
+ */
+async function removeLegacyTomcatUnits() {
+  const legacyUnits = await runCommand(`ls ${paths.systemdDir()} 2>/dev/null | grep '^tomcat-.*\\.service$' || true`, {
+    readOnly: true,
+  });
+  for (const unit of legacyUnits.split("\n").filter(Boolean)) {
+    logger.info(`🗑️ Removing old Tomcat service file: ${paths.systemdDir()}/${unit}`);
+    await runCommand(`sudo systemctl stop ${unit} || true`, { kind: "service" });
+    await runCommand(`sudo systemctl disable ${unit} || true`, { kind: "service" });
+    await runCommand(`sudo rm -f ${path.join(paths.systemdDir(), unit)}`, { kind: "delete" });
+  }
+}
+
+module.exports = {
+  TOMCAT_SERVICE,
+  DEFAULT_SERVICE,
+  serviceSettings,
+  tomcatUnitPath,
+  dropInDir,
+  tomcatUnitContent,
+  listDropIns,
+  ensureServiceAccount,
+  chownToServiceAccount,
+  writeTomcatUnit,
+  restartTomcat,
+  removeLegacyTomcatUnits,
+};
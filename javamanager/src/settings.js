@@ -0,0 +1,36 @@
+const fs = require("fs");
+const path = require("path");
+
+const configFiles = ["mavee_config_install.json", "mavee_config_upgrade.json"];
+
+/**
+ * Reads a host-wide section of `mave` (e.g. `paths`, `download`) from the
+ * mavee config files. Values from the upgrade config win over the install
+ * config.
+ *
+ * @param {string} section - Key under `mave`.
+ * @returns {object}
+ */
+function readHostSettings(section) {
+  return configFiles.reduce((settings, fileName) => {
+    const configPath = path.join(__dirname, fileName);
+    if (!fs.existsSync(configPath)) {
+      return settings;
+    }
+    const config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+    return { ...settings, ...((config.mave && config.mave[section]) || {}) };
+  }, {});
+}
+
+/**
+ * Whether a config value is an http(s) or file URL.
+ */
+function isUrl(value) {
+  try {
+    return ["http:", "https:", "file:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { readHostSettings, isUrl };
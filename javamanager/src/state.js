@@ -0,0 +1,207 @@
+const fs = require("fs");
+const path = require("path");
+const { runCommand, writeFile } = require("./executor");
+const paths = require("./paths");
+const logger = require("./logger");
+
+/**
+ * Ledger of everything java-manager did to this host, kept in
+ * `<root>/var/lib/java-manager/state.json`:
+ *
+ *   installed   - component -> { version, path, url, sha256, build?, range? } currently in place
+ *   operations  - every install/upgrade/rollback/use/uninstall, oldest first:
+ *                 { id, operation, startedAt, finishedAt, outcome, error?, changes }
+ *
+ * Each change is { component, from, to, path, url, sha256, build?, range?, backup, reverted? };
+ * `build` is the exact release a resolved candidate (e.g. `vendor: "temurin"`) picked,
+ * `range` the Tomcat range (e.g. "10.1.x") the release was picked from.
+ * `to: null` means the component was removed; `reverted` marks a change that
+ * was undone again, or never switched to, before the operation finished.
+ */
+const SCHEMA_VERSION = 1;
+
+function statePath() {
+  return path.join(paths.stateDir(), "state.json");
+}
+
+function emptyState() {
+  return { schemaVersion: SCHEMA_VERSION, installed: {}, operations: [] };
+}
+
+/**
+ * Hosts set up before the ledger existed only have the install snapshot in
+ * `previous_versions.json`; it seeds `installed` until the first write.
+ */
+function importLegacyState() {
+  const state = emptyState();
+  const legacyPath = path.join(__dirname, "previous_versions.json");
+  if (!fs.existsSync(legacyPath)) {
+    return state;
+  }
+
+  const { install = {} } = JSON.parse(fs.readFileSync(legacyPath, "utf-8"));
+  if (install.java) {
+    state.installed.java = { version: install.java, path: paths.javaDir(install.java) };
+  }
+  if (install.tomcat) {
+    state.installed.tomcat = { version: install.tomcat, path: paths.tomcatDir(install.tomcat) };
+  }
+  return state;
+}
+
+/**
+ * @returns {{ schemaVersion: number, installed: object, operations: object[] }}
+ */
+function readState() {
+  if (!fs.existsSync(statePath())) {
+    return importLegacyState();
+  }
+  return { ...emptyState(), ...JSON.parse(fs.readFileSync(statePath(), "utf-8")) };
+}
+
+async function saveState(state) {
+  await runCommand(`sudo mkdir -p ${paths.stateDir()}`);
+  await writeFile(statePath(), `${JSON.stringify(state, null, 2)}\n`, { mode: "644" });
+}
+
+/**
+ * Starts collecting a ledger entry. Callers push a change for every
+ * component they actually replaced, then hand the entry to `recordOperation`.
+ *
+ * @param {"install"|"upgrade"|"rollback"|"use"|"uninstall"} operation
+ */
+function startOperation(operation) {
+  return { operation, runId: logger.getRunId(), startedAt: new Date().toISOString(), changes: [] };
+}
+
+/**
+ * Appends a finished operation to the ledger and updates `installed` from
+ * the changes that are still in effect. A ledger that cannot be written is
+ * reported but never fails the operation itself.
+ *
+ * @param {object} entry - From `startOperation`.
+ * @param {"success"|"failed"} outcome
+ * @param {Error} [error]
+ * @returns {Promise<object>} - The stored record.
+ */
+async function recordOperation(entry, outcome, error) {
+  const state = readState();
+  const lastId = state.operations.length ? state.operations[state.operations.length - 1].id : 0;
+  const record = {
+    id: lastId + 1,
+    ...entry,
+    finishedAt: new Date().toISOString(),
+    outcome,
+    ...(error ? { error: error.message || String(error) } : {}),
+  };
+  state.operations.push(record);
+
+  for (const change of entry.changes.filter((candidate) => !candidate.reverted)) {
+    if (change.to) {
+      state.installed[change.component] = {
+        version: change.to,
+        path: change.path,
+        url: change.url,
+        sha256: change.sha256,
+        ...(change.build ? { build: change.build } : {}),
+        ...(change.range ? { range: change.range } : {}),
+      };
+    } else {
+      delete state.installed[change.component];
+    }
+  }
+
+  try {
+    await saveState(state);
+  } catch (saveError) {
+    logger.warn(`⚠️ Could not update the state ledger ${statePath()}: ${saveError.message}`);
+  }
+  return record;
+}
+
+/**
+ * @param {string} component - "java" or "tomcat".
+ * @returns {object | null} - `{ version, path, url, sha256 }` of what the ledger says is installed.
+ */
+function installedComponent(component) {
+  return readState().installed[component] || null;
+}
+
+/**
+ * Finds the most recent change that put the installed version of `component`
+ * in place and kept a backup of the version it replaced.
+ *
+ * @returns {object | null}
+ */
+function lastRevertibleChange(component) {
+  const state = readState();
+  const current = state.installed[component];
+  if (!current) {
+    return null;
+  }
+
+  for (const operation of [...state.operations].reverse()) {
+    const change = operation.changes.find(
+      (candidate) =>
+        candidate.component === component && !candidate.reverted && candidate.to === current.version && candidate.backup
+    );
+    if (change) {
+      return change;
+    }
+  }
+  return null;
+}
+
+/**
+ * Where a version of `component` came from, as recorded when it was installed
+ * or upgraded to, so changes that only switch between installed versions keep it.
+ *
+ * @returns {{ url?: string, sha256?: string, build?: string, range?: string }} - Empty when unknown.
+ */
+function recordedOrigin(component, version) {
+  const state = readState();
+  const installed = state.installed[component];
+  const record =
+    installed && installed.version === version && installed.url
+      ? installed
+      : [...state.operations]
+          .reverse()
+          .flatMap((operation) => operation.changes)
+          .find((change) => change.component === component && change.to === version && change.url);
+  if (!record) {
+    return {};
+  }
+  return {
+    url: record.url,
+    sha256: record.sha256,
+    ...(record.build ? { build: record.build } : {}),
+    ...(record.range ? { range: record.range } : {}),
+  };
+}
+
+/**
+ * Every installation directory and backup location the ledger knows of for
+ * `component`, including versions installed side by side.
+ *
+ * @returns {string[]}
+ */
+function recordedPaths(component) {
+  const state = readState();
+  const recorded = state.operations
+    .flatMap((operation) => operation.changes)
+    .filter((change) => change.component === component)
+    .flatMap((change) => [change.path, change.backup]);
+  const installed = state.installed[component];
+  return [...new Set([...recorded, installed && installed.path].filter(Boolean))];
+}
+
+module.exports = {
+  statePath,
+  readState,
+  startOperation,
+  recordOperation,
+  installedComponent,
+  lastRevertibleChange,
+  recordedOrigin,
+  recordedPaths,
+};
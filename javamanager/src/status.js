@@ -0,0 +1,409 @@
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const { runCommand } = require("./executor");
+const paths = require("./paths");
+const { installedComponent } = require("./state");
+const { TOMCAT_SERVICE, listDropIns } = require("./service");
+const { listVersions, currentVersion } = require("./versions");
+const { readSelection } = require("./config");
+const { listBackups } = require("./backups");
+const { detectPlatform } = require("./platform");
+const { lastResolution } = require("./resolvers");
+const { componentNames, definitionFor } = require("./components");
+const { parseRange, satisfies, isNewerPatch } = require("./resolvers/tomcat");
+const logger = require("./logger");
+
+/**
+ * Last value assigned to `name` in a shell-style file such as
+ * /etc/environment or /etc/profile (`NAME=value` or `export NAME="value"`).
+ */
+function readAssignment(filePath, name) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  const pattern = new RegExp(`^\\s*(?:export\\s+)?${name}=["']?([^"'\\n]*)["']?\\s*$`, "gm");
+  let value = null;
+  for (const match of fs.readFileSync(filePath, "utf-8").matchAll(pattern)) {
+    value = match[1];
+  }
+  return value;
+}
+
+/**
+ * Works out the JAVA_HOME login shells and services will see, and where it came from.
+ *
+ * @returns {{ path: string, source: string } | null}
+ */
+function effectiveJavaHome() {
+  const candidates = [
+    [paths.profileScriptPath(), () => readAssignment(paths.profileScriptPath(), "JAVA_HOME")],
+    [paths.environmentDPath(), () => readAssignment(paths.environmentDPath(), "JAVA_HOME")],
+    [paths.environmentPath(), () => readAssignment(paths.environmentPath(), "JAVA_HOME")],
+    [paths.profilePath(), () => readAssignment(paths.profilePath(), "JAVA_HOME")],
+    [paths.javaCurrentLink(), () => fs.existsSync(paths.javaCurrentLink()) && paths.javaCurrentLink()],
+    ["state ledger", () => (installedComponent("java") || {}).path],
+    ["current environment", () => process.env.JAVA_HOME],
+  ];
+  for (const [source, read] of candidates) {
+    const value = read();
+    if (value) {
+      return { path: value, source };
+    }
+  }
+  return null;
+}
+
+/**
+ * Runs `<javaHome>/bin/java -version` and returns the reported version,
+ * e.g. "18" or "21.0.2"; `null` when there is no working JDK there.
+ */
+async function detectJavaVersion(javaHome) {
+  if (!javaHome) {
+    return null;
+  }
+  try {
+    const output = await runCommand(`"${path.join(javaHome, "bin", "java")}" -version 2>&1`, { readOnly: true });
+    const match = output.match(/version "([^"]+)"/);
+    return match ? match[1] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Runs Tomcat's `bin/version.sh` and returns the server version, e.g. "9.0.100".
+ */
+async function detectTomcatVersion(tomcatHome, javaHome) {
+  if (!tomcatHome) {
+    return null;
+  }
+  try {
+    const output = await runCommand(
+      `JAVA_HOME="${javaHome || ""}" CATALINA_HOME="${tomcatHome}" "${path.join(tomcatHome, "bin", "version.sh")}"`,
+      { readOnly: true }
+    );
+    const match = output.match(/Server version:\s*Apache Tomcat\/(\S+)/);
+    return match ? match[1] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Finds the Tomcat systemd unit managed by java-manager and the CATALINA_HOME it points at.
+ *
+ * @returns {{ name: string, path: string, catalinaHome: string | null } | null}
+ */
+function findTomcatUnit(preferredHome) {
+  const systemdDir = paths.systemdDir();
+  if (!fs.existsSync(systemdDir)) {
+    return null;
+  }
+  const units = fs
+    .readdirSync(systemdDir)
+    .filter((name) => /^tomcat.*\.service$/.test(name))
+    .map((name) => {
+      const unitPath = path.join(systemdDir, name);
+      const match = fs.readFileSync(unitPath, "utf-8").match(/CATALINA_HOME=([^"\n]+)/);
+      return { name, path: unitPath, catalinaHome: match ? match[1] : null };
+    });
+  return (
+    units.find((unit) => unit.name === `${TOMCAT_SERVICE}.service`) ||
+    units.find((unit) => sameDirectory(unit.catalinaHome, preferredHome)) ||
+    units[0] ||
+    null
+  );
+}
+
+/**
+ * Compares two directories after resolving the `current` links.
+ */
+function sameDirectory(a, b) {
+  if (!a || !b) {
+    return false;
+  }
+  const resolve = (dir) => (fs.existsSync(dir) ? fs.realpathSync(dir) : dir);
+  return resolve(a) === resolve(b);
+}
+
+async function unitActiveState(unitName) {
+  if (paths.isRelocatedRoot()) {
+    return "unknown (relocated root)";
+  }
+  try {
+    return (await runCommand(`systemctl is-active ${unitName} || true`, { readOnly: true })) || "unknown";
+  } catch (error) {
+    return "unknown";
+  }
+}
+
+/**
+ * HTTP port of the first non-AJP connector in `conf/server.xml`.
+ */
+function configuredPort(tomcatHome) {
+  const serverXml = tomcatHome && path.join(tomcatHome, "conf", "server.xml");
+  if (!serverXml || !fs.existsSync(serverXml)) {
+    return null;
+  }
+  const content = fs.readFileSync(serverXml, "utf-8").replace(/<!--[\s\S]*?-->/g, "");
+  for (const [connector] of content.matchAll(/<Connector\b[^>]*>/g)) {
+    const port = connector.match(/\bport="(\d+)"/);
+    if (port && !/protocol="AJP/i.test(connector)) {
+      return Number(port[1]);
+    }
+  }
+  return null;
+}
+
+function isListening(port, host = "127.0.0.1", timeoutMs = 1000) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ port, host });
+    const finish = (listening) => {
+      socket.destroy();
+      resolve(listening);
+    };
+    socket.setTimeout(timeoutMs, () => finish(false));
+    socket.once("connect", () => finish(true));
+    socket.once("error", () => finish(false));
+  });
+}
+
+function requestedVersions() {
+  try {
+    const { java, tomcat, tools } = readSelection("upgrade");
+    return {
+      java: java.version,
+      tomcat: tomcat.version,
+      tomcatResolved: lastResolution("tomcat", tomcat),
+      tools: Object.fromEntries(Object.entries(tools).map(([component, dependency]) => [component, dependency.version])),
+    };
+  } catch (error) {
+    logger.warn(`⚠️ Could not read the requested versions: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * A requested Tomcat range like "10.1.x" matches any release within it.
+ */
+function tomcatMatches(detected, requested) {
+  return parseRange(requested) ? satisfies(detected, requested) : detected === requested;
+}
+
+/**
+ * A requested Java version like "21" matches any 21.x build; anything more
+ * specific has to match exactly, except for the build number `java -version`
+ * leaves out (a recorded "21.0.4+7" or Corretto "21.0.4.7.1" is "21.0.4").
+ */
+function javaMatches(detected, requested) {
+  if (!requested.includes(".")) {
+    return detected.split(/[.+]/)[0] === requested;
+  }
+  return detected === requested || requested.startsWith(`${detected}+`) || requested.startsWith(`${detected}.`);
+}
+
+function findDrift(status) {
+  const drift = [];
+  const { java, tomcat } = status;
+
+  if (!java.version) {
+    drift.push(`No working JDK found${java.home ? ` at ${java.home}` : ""}.`);
+  } else if (java.requested && !javaMatches(java.version, java.requested)) {
+    drift.push(`Java ${java.version} is installed but the config requests ${java.requested}.`);
+  }
+  if (java.version && java.recorded && !javaMatches(java.version, java.recorded)) {
+    drift.push(`The state ledger records Java ${java.recorded} but ${java.version} is in use.`);
+  }
+
+  if (!tomcat.version) {
+    drift.push(`No working Tomcat found${tomcat.home ? ` at ${tomcat.home}` : ""}.`);
+  } else if (tomcat.requested && !tomcatMatches(tomcat.version, tomcat.requested)) {
+    drift.push(`Tomcat ${tomcat.version} is installed but the config requests ${tomcat.requested}.`);
+  }
+  if (tomcat.version && tomcat.recorded && tomcat.version !== tomcat.recorded) {
+    drift.push(`The state ledger records Tomcat ${tomcat.recorded} but ${tomcat.version} is installed.`);
+  }
+  if (tomcat.unit && tomcat.unit.catalinaHome && tomcat.home && !sameDirectory(tomcat.unit.catalinaHome, tomcat.home)) {
+    drift.push(`${tomcat.unit.name} runs ${tomcat.unit.catalinaHome}, not ${tomcat.home}.`);
+  }
+  for (const [component, tool] of Object.entries(status.tools)) {
+    const { label } = definitionFor(component);
+    if (tool.requested && tool.current !== tool.requested) {
+      drift.push(
+        tool.current
+          ? `${label} ${tool.current} is in use but the config requests ${tool.requested}.`
+          : `${label} ${tool.requested} is requested but not installed.`
+      );
+    }
+    if (tool.current && tool.recorded && tool.current !== tool.recorded) {
+      drift.push(`The state ledger records ${label} ${tool.recorded} but ${tool.current} is in use.`);
+    }
+  }
+  return drift;
+}
+
+/**
+ * Maven, Gradle and the other optional components that are configured or installed.
+ */
+function collectTools(requested = {}) {
+  const tools = {};
+  for (const component of componentNames()) {
+    const installed = listVersions(component);
+    if (definitionFor(component).required || (!installed.length && !requested[component])) {
+      continue;
+    }
+    const recorded = installedComponent(component);
+    tools[component] = {
+      current: currentVersion(component),
+      home: fs.existsSync(paths.currentLink(component)) ? paths.currentLink(component) : null,
+      recorded: recorded ? recorded.version : null,
+      requested: requested[component] || null,
+      installed,
+    };
+  }
+  return tools;
+}
+
+/**
+ * Inspects the host and reports what is actually installed and running.
+ *
+ * @returns {Promise<object>}
+ */
+async function collectStatus() {
+  const requested = requestedVersions();
+  const recordedJava = installedComponent("java");
+  const recordedTomcat = installedComponent("tomcat");
+  const resolvedTomcat = requested.tomcatResolved;
+
+  const javaHome = effectiveJavaHome();
+  const javaVersion = await detectJavaVersion(javaHome && javaHome.path);
+
+  const currentTomcatHome = fs.existsSync(paths.tomcatCurrentLink()) ? paths.tomcatCurrentLink() : null;
+  const knownTomcatHome = currentTomcatHome || (recordedTomcat && recordedTomcat.path);
+  const unit = findTomcatUnit(knownTomcatHome);
+  const tomcatHome = knownTomcatHome || (unit && unit.catalinaHome) || null;
+  const port = configuredPort(tomcatHome);
+  const tomcatVersion = await detectTomcatVersion(tomcatHome, javaHome && javaHome.path);
+
+  const status = {
+    platform: detectPlatform(),
+    java: {
+      version: javaVersion,
+      home: javaHome ? javaHome.path : null,
+      homeSource: javaHome ? javaHome.source : null,
+      recorded: recordedJava ? recordedJava.version : null,
+      requested: requested.java || null,
+      installed: listVersions("java"),
+    },
+    tomcat: {
+      version: tomcatVersion,
+      home: tomcatHome,
+      unit: unit
+        ? {
+            name: unit.name,
+            catalinaHome: unit.catalinaHome,
+            state: await unitActiveState(unit.name),
+            dropIns: listDropIns(),
+          }
+        : null,
+      port,
+      listening: port ? await isListening(port) : null,
+      recorded: recordedTomcat ? recordedTomcat.version : null,
+      requested: requested.tomcat || null,
+      // Newest release of a requested range, as of the last upgrade or fetch
+      latest: resolvedTomcat
+        ? {
+            version: resolvedTomcat.version,
+            resolvedAt: resolvedTomcat.resolvedAt,
+            newerPatch: isNewerPatch(tomcatVersion, resolvedTomcat),
+          }
+        : null,
+      installed: listVersions("tomcat"),
+    },
+    tools: collectTools(requested.tools),
+  };
+  status.backups = Object.fromEntries(
+    ["java", "tomcat", ...Object.keys(status.tools)].map((component) => [
+      component,
+      listBackups(component).map((backup) => backup.path),
+    ])
+  );
+  status.drift = findDrift(status);
+  return status;
+}
+
+function printStatus(status) {
+  const { platform, java, tomcat, tools, backups, drift } = status;
+  const show = (value) => (value === null || value === undefined ? "-" : value);
+
+  console.log("🐧 Host");
+  console.log(`   system:     ${platform.name}`);
+  console.log(`   packages:   ${platform.packageManager}${platform.overridden ? " (configured)" : ""}`);
+  console.log("☕ Java");
+  console.log(`   version:    ${show(java.version)}`);
+  console.log(`   JAVA_HOME:  ${show(java.home)}${java.homeSource ? ` (from ${java.homeSource})` : ""}`);
+  console.log(`   requested:  ${show(java.requested)}`);
+  console.log(`   installed:  ${java.installed.join(", ") || "-"}`);
+
+  console.log("🐱 Tomcat");
+  console.log(`   version:    ${show(tomcat.version)}`);
+  console.log(`   home:       ${show(tomcat.home)}`);
+  console.log(`   unit:       ${tomcat.unit ? `${tomcat.unit.name} (${tomcat.unit.state})` : "-"}`);
+  if (tomcat.unit && tomcat.unit.dropIns.length) {
+    console.log(`   drop-ins:   ${tomcat.unit.dropIns.join(", ")}`);
+  }
+  console.log(`   port:       ${tomcat.port ? `${tomcat.port} (${tomcat.listening ? "listening" : "not listening"})` : "-"}`);
+  console.log(`   requested:  ${show(tomcat.requested)}`);
+  if (tomcat.latest) {
+    const note = tomcat.latest.newerPatch ? "newer patch available, " : "";
+    console.log(`   latest:     ${tomcat.latest.version} (${note}as of ${tomcat.latest.resolvedAt})`);
+  }
+  console.log(`   installed:  ${tomcat.installed.join(", ") || "-"}`);
+
+  for (const [component, tool] of Object.entries(tools)) {
+    console.log(`🧰 ${definitionFor(component).label}`);
+    console.log(`   version:    ${show(tool.current)}`);
+    console.log(`   home:       ${show(tool.home)}`);
+    console.log(`   requested:  ${show(tool.requested)}`);
+    console.log(`   installed:  ${tool.installed.join(", ") || "-"}`);
+  }
+
+  console.log("📂 Backups");
+  for (const [component, backupPaths] of Object.entries(backups)) {
+    console.log(`   ${`${component}:`.padEnd(12)}${backupPaths.length ? backupPaths.join(", ") : "-"}`);
+  }
+
+  if (drift.length) {
+    console.log("⚠️ Drift");
+    for (const message of drift) {
+      console.log(`   - ${message}`);
+    }
+  } else {
+    console.log("✅ Installation matches the config.");
+  }
+}
+
+/**
+ * `java-manager status`: prints the detected state for humans or as JSON.
+ *
+ * @param {{ json?: boolean }} [options]
+ */
+async function status(options = {}) {
+  const result = await collectStatus();
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    return;
+  }
+  printStatus(result);
+}
+
+module.exports = {
+  status,
+  collectStatus,
+  effectiveJavaHome,
+  detectJavaVersion,
+  detectTomcatVersion,
+  configuredPort,
+  isListening,
+};
@@ -1,90 +1,123 @@
-const { exec } = require("child_process");
 const fs = require("fs");
 const path = require("path");
+const { runCommand } = require("./executor");
+const paths = require("./paths");
+const { startOperation, recordOperation, installedComponent, recordedPaths } = require("./state");
+const { TOMCAT_SERVICE } = require("./service");
+const { withJournal } = require("./journal");
+const { removeEnvironment } = require("./environment");
+const { packageManager } = require("./platform");
+const { listVersions } = require("./versions");
+const { componentNames, definitionFor, expandTemplate } = require("./components");
+const logger = require("./logger");
 
 /**
- * Executes a shell command and returns a Promise.
+ * Directories to delete for a component: every installed version and backup
+ * the ledger knows of plus the `current` link, or — on hosts set up before
+ * the ledger existed — anything matching the naming pattern in the install prefix.
  */
-function runCommand(cmd) {
-  return new Promise((resolve, reject) => {
-    exec(cmd, (error, stdout, stderr) => {
-      if (error) {
-        console.error(`❌ Error: ${stderr || error.message}`);
-        return reject(error);
-      }
-      console.log(`✅ Success: ${stdout.trim()}`);
-      resolve(stdout.trim());
-    });
-  });
+function managedDirectories(component, pattern, backupsDir, currentLink) {
+  const recorded = recordedPaths(component);
+  if (!recorded.length) {
+    logger.warn(`⚠️ No ${component} installation recorded in the state ledger; removing ${pattern} instead.`);
+    return [`${paths.installPrefix()}/${pattern}`, backupsDir, path.dirname(currentLink)];
+  }
+  return [...recorded, backupsDir, path.dirname(currentLink)];
 }
 
 /**
- * Uninstalls Java by removing its installation directory and cleaning up environment variables.
+ * Uninstalls a component that runs no service (Java, Maven, Gradle, ...) by
+ * removing its versions, backups and `current` link.
+ *
+ * @param {string} component
+ * @returns {Promise<object>} - The ledger change.
  */
-async function uninstallJava() {
-  console.log("🚀 Uninstalling Java...");
+async function uninstallComponent(component) {
+  const { label, directory } = definitionFor(component);
+  logger.info(`🚀 Uninstalling ${label}...`);
 
   try {
-    const commands = [
-      "sudo rm -rf /opt/openjdk-*", // Remove all Java installations in /opt
-      "sudo rm -rf /opt/java_backups", // Remove Java backups
-      "sudo sed -i '/JAVA_HOME/d' /etc/environment", // Remove JAVA_HOME from system environment
-      "sudo sed -i '/JAVA_HOME/d' /etc/profile",
-      "sed -i '/JAVA_HOME/d' ~/.bashrc",
-      "sed -i '/JAVA_HOME/d' ~/.bash_profile",
-      "sed -i '/JAVA_HOME/d' ~/.zshrc || true",
-      "unset JAVA_HOME", // Unset JAVA_HOME for current session
-      ". /etc/environment && . ~/.bashrc" // Reload environment variables
-    ];
-
-    await runCommand(commands.join(" && "));
-    console.log("✅ Java uninstalled successfully.");
+    const installed = installedComponent(component);
+    const directories = managedDirectories(
+      component,
+      expandTemplate(directory, { version: "*" }),
+      paths.backupsDir(component),
+      paths.currentLink(component)
+    );
+    // Remove the installed versions and their backups
+    await runCommand(`sudo rm -rf ${directories.join(" ")}`, {
+      kind: "delete",
+      description: `Remove ${directories.join(", ")}`,
+    });
+    logger.info(`✅ ${label} uninstalled successfully.`);
+    return { component, from: installed ? installed.version : null, to: null, path: null, backup: null };
   } catch (error) {
-    console.error("❌ Java uninstallation failed.");
+    logger.error(`❌ ${label} uninstallation failed:`, error.message || error);
+    throw error;
   }
 }
 
+/**
+ * Uninstalls Java by removing its installation directory and cleaning up environment variables.
+ *
+ * @returns {Promise<object>} - The ledger change.
+ */
+function uninstallJava() {
+  return uninstallComponent("java");
+}
+
 /**
  * Uninstalls Tomcat by stopping services, removing files, and cleaning up environment variables.
+ *
+ * @returns {Promise<object>} - The ledger change.
  */
 async function uninstallTomcat() {
-  console.log("🚀 Uninstalling Tomcat...");
+  logger.info("🚀 Uninstalling Tomcat...");
 
   try {
+    const installed = installedComponent("tomcat");
     // Stop and disable Tomcat services
-    await runCommand("sudo systemctl list-units --type=service | grep -q 'tomcat' && sudo systemctl stop tomcat-*.service || true");
-    await runCommand("sudo systemctl list-unit-files | grep -q 'tomcat' && sudo systemctl disable tomcat-*.service || true");
+    await runCommand(`sudo systemctl stop ${TOMCAT_SERVICE} || true`, { kind: "service" });
+    await runCommand(`sudo systemctl disable ${TOMCAT_SERVICE} || true`, { kind: "service" });
+    await runCommand("sudo systemctl list-units --type=service | grep -q 'tomcat' && sudo systemctl stop tomcat-*.service || true", { kind: "service" });
+    await runCommand("sudo systemctl list-unit-files | grep -q 'tomcat' && sudo systemctl disable tomcat-*.service || true", { kind: "service" });
 
     // Reload systemd
-    await runCommand("sudo systemctl daemon-reexec || true");
-    await runCommand("sudo systemctl daemon-reload || true");
+    await runCommand("sudo systemctl daemon-reexec || true", { kind: "service" });
+    await runCommand("sudo systemctl daemon-reload || true", { kind: "service" });
 
     // Remove Tomcat service files
-    await runCommand("sudo rm -f /etc/systemd/system/tomcat-*.service");
-    await runCommand("sudo rm -f /lib/systemd/system/tomcat-*.service");
+    await runCommand(`sudo rm -f ${paths.systemdDir()}/${TOMCAT_SERVICE}.service ${paths.systemdDir()}/tomcat-*.service`, {
+      kind: "delete",
+    });
+    await runCommand(`sudo rm -f ${paths.rooted(packageManager().vendorUnitDir)}/tomcat-*.service`, { kind: "delete" });
 
     // Kill any running Tomcat processes
-    await runCommand("ps aux | grep -i tomcat | grep -v grep | awk '{print $2}' | xargs -I {} sudo kill -9 {}");
-
-    // Remove Tomcat installations and backups
-    await runCommand("sudo rm -rf /opt/tomcat-* /usr/share/tomcat-* /var/lib/tomcat-* /etc/tomcat-* || true");
-    await runCommand("sudo rm -rf /opt/tomcat_backups || true");
+    await runCommand("ps aux | grep -i tomcat | grep -v grep | awk '{print $2}' | xargs -I {} sudo kill -9 {}", { kind: "service" });
+
+    // Remove the Tomcat installation, its backups, interrupted upgrades and distro leftovers
+    const tomcatLeftovers = [
+      paths.stagingDir(),
+      `${paths.rooted("/usr/share")}/tomcat-*`,
+      `${paths.rooted("/var/lib")}/tomcat-*`,
+      `${paths.rooted("/etc")}/tomcat-*`,
+    ];
+    const directories = managedDirectories("tomcat", "tomcat-*", paths.tomcatBackupsDir(), paths.tomcatCurrentLink());
+    await runCommand(`sudo rm -rf ${directories.join(" ")} || true`, { kind: "delete" });
+    await runCommand(`sudo rm -rf ${tomcatLeftovers.join(" ")} || true`, { kind: "delete" });
 
-    // Remove Tomcat-related environment variables
-    await runCommand("sudo sed -i '/CATALINA_HOME/d' /etc/environment");
-    await runCommand("sudo sed -i '/CATALINA_HOME/d' /etc/profile");
-    await runCommand("sed -i '/CATALINA_HOME/d' ~/.bashrc");
-    await runCommand("sed -i '/CATALINA_HOME/d' ~/.bash_profile");
-    await runCommand("sed -i '/CATALINA_HOME/d' ~/.zshrc || true");
 
-    console.log("✅ Tomcat uninstalled successfully.");
+    logger.info("✅ Tomcat uninstalled successfully.");
+    return { component: "tomcat", from: installed ? installed.version : null, to: null, path: null, backup: null };
   } catch (error) {
-    console.error("❌ Tomcat uninstallation failed.");
+    logger.error("❌ Tomcat uninstallation failed:", error.message || error);
+    throw error;
   }
 }
 
 /**
- * Removes the `previous_versions.json` file if it exists.
+ * Removes the `previous_versions.json` file left behind by older releases,
+ * which kept the install snapshot there before the state ledger existed.
  */
  
 async function removePreviousVersionsFile() {
@@ -93,35 +126,28 @@ async function removePreviousVersionsFile() {
     const versionsFilePath = path.join(__dirname, "previous_versions.json");
 
     if (fs.existsSync(versionsFilePath)) {
-      console.log("🗑️ Removing previous_versions.json...");
+      logger.info("🗑️ Removing previous_versions.json...");
 
       // ✅ Step 1: Change ownership to the current user
       const currentUser = process.env.USER || process.env.LOGNAME; // Get the current user
       if (currentUser) {
         await runCommand(`sudo chown ${currentUser}:${currentUser} ${versionsFilePath}`);
-        console.log(`✅ Changed ownership of previous_versions.json to ${currentUser}`);
+        logger.info(`✅ Changed ownership of previous_versions.json to ${currentUser}`);
       } else {
-        console.warn("⚠ Unable to determine current user. Proceeding with sudo...");
+        logger.warn("⚠ Unable to determine current user. Proceeding with sudo...");
       }
 
       // ✅ Step 2: Change permissions to allow deletion
       await runCommand(`sudo chmod 777 ${versionsFilePath}`);
-      console.log("✅ Changed file permissions to 777 (read/write for all users).");
-
-      // ✅ Step 3: Attempt normal deletion
-      try {
-        fs.unlinkSync(versionsFilePath);
-       // console.log("✅ previous_versions.json removed successfully.");
-      } catch (unlinkError) {
-       // console.warn("⚠ Normal deletion failed. Trying with sudo...");
-        await runCommand(`sudo rm -f ${versionsFilePath}`);
-       // console.log("✅ previous_versions.json removed with sudo.");
-      }
+      logger.info("✅ Changed file permissions to 777 (read/write for all users).");
+
+      // ✅ Step 3: Attempt normal deletion, falling back to sudo
+      await runCommand(`rm -f ${versionsFilePath} || sudo rm -f ${versionsFilePath}`, { kind: "delete" });
     } else {
-     // console.log("ℹ️ previous_versions.json does not exist. Skipping...");
+     // logger.info("ℹ️ previous_versions.json does not exist. Skipping...");
     }
   } catch (error) {
-    console.error("❌ Failed to remove previous_versions.json:", error);
+    logger.error("❌ Failed to remove previous_versions.json:", error.message || error);
   }
 }
 
@@ -129,16 +155,54 @@ async function removePreviousVersionsFile() {
 
 
 /**
- * Performs a full uninstallation of Java, Tomcat, and removes backups + previous_versions.json.
+ * Performs a full uninstallation of Java, Tomcat, the other installed
+ * components and their backups, and
+ * records it in the state ledger. Every step is attempted even if an earlier
+ * one fails; the first failure is thrown at the end.
  */
 async function fullUninstall() {
-  console.log("🚀 Starting full uninstallation...");
-  await uninstallJava();
-  await uninstallTomcat();
- 
-  console.log("✅ Full uninstallation completed.");
+  logger.info("🚀 Starting full uninstallation...");
+  const operation = startOperation("uninstall");
+  let failure = null;
+
+  // Maven, Gradle and the like only when there is something of them to remove
+  const tools = componentNames().filter(
+    (component) =>
+      !definitionFor(component).required &&
+      (listVersions(component).length || recordedPaths(component).length || fs.existsSync(paths.currentLink(component)))
+  );
+  const steps = [uninstallJava, uninstallTomcat, ...tools.map((component) => () => uninstallComponent(component))];
+  for (const step of steps) {
+    try {
+      operation.changes.push(await step());
+    } catch (error) {
+      failure = failure || error;
+    }
+  }
+  await removePreviousVersionsFile();
+
+  // JAVA_HOME, CATALINA_HOME, the other homes and PATH only ever lived in the managed file(s)
+  try {
+    await removeEnvironment();
+  } catch (error) {
+    logger.error("❌ Failed to remove the java-manager environment file:", error.message || error);
+    failure = failure || error;
+  }
+
+  if (failure) {
+    await recordOperation(operation, "failed", failure);
+    throw failure;
+  }
+  await recordOperation(operation, "success");
+  logger.info("✅ Full uninstallation completed.");
 }
 
 
 // Export functions
-module.exports = { fullUninstall, uninstallJava, uninstallTomcat, removePreviousVersionsFile };
+module.exports = {
+  fullUninstall: withJournal("uninstall", fullUninstall),
+  uninstallComponent,
+  uninstallJava,
+  uninstallTomcat,
+  removePreviousVersionsFile,
+};
@@ -1,47 +1,43 @@
+const { runCommand } = require("./executor");
+const paths = require("./paths");
+const { fetchArtifact, artifactDigest, isOffline } = require("./cache");
+const { startOperation, recordOperation, installedComponent } = require("./state");
+const { collectStatus } = require("./status");
+const {
+  writeTomcatUnit,
+  restartTomcat,
+  removeLegacyTomcatUnits,
+  ensureServiceAccount,
+  chownToServiceAccount,
+} = require("./service");
+const { switchCurrent, currentVersion } = require("./versions");
+const { readSelection } = require("./config");
+const { pruneBackups } = require("./backups");
+const { waitForTomcat } = require("./health");
+const { gateStaged } = require("./canary");
+const { withJournal } = require("./journal");
+const { stageUpgrade, restoreVersion, requiredPackages } = require("./lifecycle");
+const { definitionFor } = require("./components");
+const { ensurePrerequisites } = require("./platform");
+const { resolveArtifact } = require("./resolvers");
+const { isNewerPatch } = require("./resolvers/tomcat");
+const { AlreadyUpToDateError } = require("./errors");
+const { writeEnvironment } = require("./environment");
+const { refreshManifest } = require("./manifest");
+const logger = require("./logger");
+
 /**
- * Runs a shell command and returns the output.
+ * Resolves the Java and Tomcat candidates (and those of any other component
+ * listed) to upgrade to from `mavee_config_upgrade.json`, or from the
+ * manifest it points at.
  *
- * @param {string} command - The shell command to execute.
- * @returns {Promise<string>} - The trimmed output of the command.
- * @throws {Error} - If the command fails to execute.
+ * @param {Object<string, string>} [selectors] - Channel or version per component; config defaults otherwise.
  */
-async function runCommand(command) {
-  return new Promise((resolve, reject) => {
-    exec(command, (error, stdout, stderr) => {
-      if (error) {
-        console.error(`❌ Command failed: ${command}`);
-        console.error(`Error: ${stderr}`);
-        reject(stderr || error.message);
-      } else {
-        resolve(stdout.trim());
-      }
-    });
-  });
-}
-
-const { exec } = require("child_process");
-const fs = require("fs");
-const path = require("path");
-
-const configPath = path.join(__dirname, "mavee_config_upgrade.json");
-
-async function readUpgradeConfiguration() {
+async function readUpgradeConfiguration(selectors = {}) {
   try {
-    if (!fs.existsSync(configPath)) {
-      throw new Error("🚨 Upgrade configuration file not found.");
-    }
-
-    const configData = fs.readFileSync(configPath, "utf-8");
-    const config = JSON.parse(configData);
-
-    return {
-      javaVersion: config.mave.dependencies.java.version,
-      javaUrl: config.mave.dependencies.java.packageUrlUnix,
-      tomcatVersion: config.mave.dependencies.tomcat.version,
-      tomcatUrl: config.mave.dependencies.tomcat.packageUrlUnix,
-    };
+    return readSelection("upgrade", selectors);
   } catch (error) {
-    console.error("❌ Failed to read upgrade configuration:", error);
+    logger.error(`❌ Failed to read upgrade configuration:\n${error.message}`);
     throw error;
   }
 }
@@ -49,389 +45,336 @@ async function readUpgradeConfiguration() {
 /**
  * Retrieves the current versions of Java and Tomcat installed on the system.
  *
- * This function uses the `runCommand` utility to execute shell commands and extract the
- * current versions of Java and Tomcat from the directory names in the `/opt` directory.
+ * Versions recorded in the state ledger win, then the targets of the `current`
+ * links; otherwise they are detected by running `java -version` and Tomcat's
+ * `bin/version.sh` (see `status.js`).
  *
  * @returns {Promise<{ currentJavaVersion: string, currentTomcatVersion: string }>} - An object containing the current versions of Java and Tomcat.
  */
 async function getCurrentVersions() {
-  let currentJavaVersion = null;
-  let currentTomcatVersion = null;
-
-  try {
-    // Extract the current Java version from the directory name in `/opt`
-    currentJavaVersion = await runCommand(
-      `ls /opt | grep 'openjdk-' | sed 's/openjdk-//' | head -n 1`
-    );
-  } catch (error) {
-    console.warn("⚠️ No existing Java installation found.");
+  const recordedJava = installedComponent("java");
+  const recordedTomcat = installedComponent("tomcat");
+  let currentJavaVersion = recordedJava ? recordedJava.version : currentVersion("java");
+  let currentTomcatVersion = recordedTomcat ? recordedTomcat.version : currentVersion("tomcat");
+  if (currentJavaVersion && currentTomcatVersion) {
+    return { currentJavaVersion, currentTomcatVersion };
   }
 
-  try {
-    // Extract the current Tomcat version from the directory name in `/opt`
-    currentTomcatVersion = await runCommand(
-      `ls /opt | grep 'tomcat-' | sed 's/tomcat-//' | head -n 1`
-    );
-  } catch (error) {
-    console.warn("⚠️ No existing Tomcat installation found.");
+  // Otherwise ask the installed binaries themselves
+  const { java, tomcat } = await collectStatus();
+  if (!currentJavaVersion && java.version) {
+    currentJavaVersion = java.version.split(/[.+]/)[0];
+  }
+  if (!currentTomcatVersion && tomcat.version) {
+    currentTomcatVersion = tomcat.version;
+  }
+  if (!currentJavaVersion) {
+    logger.warn("⚠️ No existing Java installation found.");
+  }
+  if (!currentTomcatVersion) {
+    logger.warn("⚠️ No existing Tomcat installation found.");
   }
 
   return { currentJavaVersion, currentTomcatVersion };
 }
 
-async function validateUpgradeConditions(javaVersion, tomcatVersion) {
-  const { currentJavaVersion, currentTomcatVersion } =
-    await getCurrentVersions();
-
-  if (
-    javaVersion === currentJavaVersion &&
-    tomcatVersion === currentTomcatVersion
-  ) {
-    console.error(
-      `🚨 Upgrade aborted: Java ${javaVersion} and Tomcat ${tomcatVersion} are already installed.`
-    );
-    process.exit(1); // Stop execution
+/**
+ * Nothing to do when every selected component is already on its version;
+ * otherwise only the components that changed are upgraded.
+ *
+ * @param {{ component: string, dependency: object, current: string | null, changed: boolean }[]} candidates -
+ *   From `resolveCandidates`.
+ * @returns {{ component: string, dependency: object, current: string | null }[]} - The ones to upgrade.
+ * @throws {AlreadyUpToDateError}
+ */
+function validateUpgradeConditions(candidates) {
+  const targets = candidates.filter(({ changed }) => changed);
+  if (!targets.length) {
+    const installed = candidates.map(({ component, dependency }) => `${definitionFor(component).label} ${dependency.version}`);
+    throw new AlreadyUpToDateError(`${installed.join(", ")} are already installed; nothing to upgrade.`);
   }
+  return targets;
+}
 
-  if (javaVersion === currentJavaVersion) {
-    console.error(
-      `🚨 Upgrade aborted: Java ${javaVersion} is already installed.`
-    );
-    process.exit(1);
+/**
+ * Tells, in the same shape as `status`, when the Tomcat range picks a newer
+ * patch of the release in use.
+ */
+function reportTomcatPatch(currentTomcatVersion, tomcatDependency) {
+  if (!isNewerPatch(currentTomcatVersion, tomcatDependency)) {
+    return;
   }
+  logger.info("🐱 Tomcat");
+  logger.info(`   version:    ${currentTomcatVersion}`);
+  logger.info(`   requested:  ${tomcatDependency.range}`);
+  logger.info(`   latest:     ${tomcatDependency.version} (newer patch available)`);
+}
 
-  if (tomcatVersion === currentTomcatVersion) {
-    console.error(
-      `🚨 Upgrade aborted: Tomcat ${tomcatVersion} is already installed.`
-    );
-    process.exit(1);
+/**
+ * Whether a resolved candidate is what is in use already: the same version,
+ * or the same Java GA build the ledger records (installs from before builds
+ * had directories of their own are named after the major version).
+ */
+function isInUse(component, dependency, current) {
+  if (dependency.version === current) {
+    return true;
   }
+  const recorded = installedComponent(component);
+  return Boolean(dependency.build && recorded && recorded.version === current && recorded.build === dependency.build);
 }
 
 /**
- * Creates a backup of the specified source directory to the destination directory.
- * If a backup already exists at the destination, it will be removed before creating the new backup.
+ * Resolves Java, Tomcat and every other component listed to the exact
+ * versions selected, next to the versions in use.
  *
- * @param {string} source - The path to the directory to be backed up.
- * @param {string} destination - The path to the backup directory.
- * @returns {Promise<void>} - A Promise that resolves when the backup is complete.
+ * @param {{ java: object, tomcat: object, tools: Object<string, object> }} selection - From `readSelection`.
+ * @returns {Promise<{ component: string, dependency: object, current: string | null, changed: boolean }[]>}
  */
-async function createBackup(source, destination) {
-  try {
-    if (fs.existsSync(destination)) {
-      console.log(
-        `📂 Backup already exists at ${destination}, removing old backup...`
-      );
-      await runCommand(`sudo rm -rf ${destination}`);
+async function resolveCandidates(selection) {
+  const { currentJavaVersion, currentTomcatVersion } = await getCurrentVersions();
+  const selected = [
+    ["java", selection.java, currentJavaVersion],
+    ["tomcat", selection.tomcat, currentTomcatVersion],
+    ...Object.entries(selection.tools).map(([component, candidate]) => [component, candidate, currentVersion(component)]),
+  ];
+
+  const candidates = [];
+  for (const [component, candidate, current] of selected) {
+    // Candidates naming a vendor release or a Tomcat range are looked up first
+    const dependency = await resolveArtifact(component, candidate, { offline: isOffline() });
+    if (component === "tomcat") {
+      reportTomcatPatch(current, dependency);
     }
-    console.log(`📂 Creating backup: ${source} -> ${destination}`);
-    await runCommand(`sudo cp -r ${source} ${destination}`);
-  } catch (error) {
-    console.error(`❌ Backup creation failed: ${error}`);
-    throw error;
+    candidates.push({ component, dependency, current, changed: !isInUse(component, dependency, current) });
   }
+  return candidates;
 }
 
 /**
- * Ensures that the 'tomcat' group and user exist.
- * If they do not exist, they are created.
+ * Puts the components of a failed upgrade back on the versions they replaced.
+ *
+ * @returns {Promise<Error | null>} - Why the revert failed, leaving the host half-upgraded; `null` when it worked.
  */
-async function ensureTomcatUserAndGroup() {
-  try {
-    // Check if the 'tomcat' group exists
-    await runCommand(`getent group tomcat`);
-  //  console.log("✅ 'tomcat' group already exists.");
-  } catch (error) {
-    //console.log("🔄 Creating 'tomcat' group...");
-    await runCommand(`sudo groupadd tomcat`);
-  }
+async function rollbackUpgrade(targets) {
+  logger.info("🔄 Rolling back due to failure...");
 
   try {
-    // Check if the 'tomcat' user exists
-    await runCommand(`id -u tomcat`);
-  //  console.log("✅ 'tomcat' user already exists.");
-  } catch (error) {
-  //  console.log("🔄 Creating 'tomcat' user...");
-    await runCommand(`sudo useradd --system --no-create-home --gid tomcat tomcat`);
-  }
-}
+    for (const { component, current } of targets) {
+      const { label, service } = definitionFor(component);
 
-async function rollbackUpgrade(previousJavaVersion, previousTomcatVersion) {
-  console.log("🔄 Rolling back due to failure...");
+      // ✅ A component the upgrade added goes away again
+      if (!current) {
+        await runCommand(`sudo rm -f ${paths.currentLink(component)}`, { kind: "delete" });
+        continue;
+      }
 
-  try {
-    const javaBackupDir = `/opt/java_backups/openjdk-${previousJavaVersion}`;
-    const tomcatBackupDir = `/opt/tomcat_backups/tomcat-${previousTomcatVersion}`;
-
-    // ✅ Restore Java from backup
-    if (fs.existsSync(javaBackupDir)) {
-      console.log(`♻️ Restoring Java ${previousJavaVersion} from backup...`);
-      await runCommand(`sudo rm -rf /opt/openjdk-*`);
-      await runCommand(`sudo cp -r ${javaBackupDir} /opt/openjdk-${previousJavaVersion}`);
-
-      // ✅ Restore Java Environment Variables
-      console.log(`🔧 Restoring environment variables for Java ${previousJavaVersion}...`);
-      const envCommands = `
-        sudo sed -i '/^export JAVA_HOME=/d' /etc/profile
-        sudo sed -i '/^export PATH=.*JAVA_HOME/d' /etc/profile
-        sudo sed -i '/^JAVA_HOME=/d' /etc/environment
-
-        echo 'export JAVA_HOME=/opt/openjdk-${previousJavaVersion}' | sudo tee -a /etc/profile
-        echo 'export PATH=$JAVA_HOME/bin:$PATH' | sudo tee -a /etc/profile
-        echo 'JAVA_HOME=/opt/openjdk-${previousJavaVersion}' | sudo tee -a /etc/environment
-      `;
-      await runCommand(envCommands);
-      await runCommand(`bash -c "source /etc/profile"`); // Apply changes
-
-      console.log(`✅ Java ${previousJavaVersion} rollback and environment restore completed.`);
-    } else {
-      console.warn(`⚠️ No Java backup found for version ${previousJavaVersion}. Skipping rollback.`);
+      // ✅ Switch back; JAVA_HOME and the other homes follow the current links
+      if (!(await restoreVersion(component, current))) {
+        continue;
+      }
+      if (service) {
+        const installDir = paths.componentDir(component, current);
+
+        // ✅ Ensure the service user and group exist
+        await ensureServiceAccount();
+
+        // ✅ Set correct ownership and permissions
+        logger.info(`🔧 Setting permissions and ownership for ${label} ${current}...`);
+        await chownToServiceAccount(installDir);
+        await runCommand(`sudo chmod -R 755 ${installDir}/`);
+        for (const pattern of definitionFor(component).executables) {
+          await runCommand(`sudo chmod -R +x ${installDir}/${pattern}`);
+        }
+      }
+      logger.info(`✅ ${label} ${current} rollback completed.`);
     }
+    await writeEnvironment();
 
-    // ✅ Restore Tomcat from backup
-    if (fs.existsSync(tomcatBackupDir)) {
-      console.log(`♻️ Restoring Tomcat ${previousTomcatVersion} from backup...`);
-      await runCommand(`sudo rm -rf /opt/tomcat-*`);
-      await runCommand(`sudo cp -r ${tomcatBackupDir} /opt/tomcat-${previousTomcatVersion}`);
-
-      // ✅ Ensure the 'tomcat' group and user exist
-      await ensureTomcatUserAndGroup();
-
-      // ✅ Set correct ownership and permissions
-      console.log(`🔧 Setting permissions and ownership for Tomcat ${previousTomcatVersion}...`);
-      await runCommand(`sudo chown -R tomcat:tomcat /opt/tomcat-${previousTomcatVersion}/`);
-      await runCommand(`sudo chmod -R 755 /opt/tomcat-${previousTomcatVersion}/`);
-      await runCommand(`sudo chmod -R +x /opt/tomcat-${previousTomcatVersion}/bin/*.sh`);
-
-      // ✅ Restart Tomcat systemd service
-      console.log(`⚙️ Restarting Tomcat service for version ${previousTomcatVersion}...`);
-      await runCommand(`sudo service tomcat-${previousTomcatVersion} restart || sudo /opt/tomcat-${previousTomcatVersion}/bin/shutdown.sh && sudo /opt/tomcat-${previousTomcatVersion}/bin/startup.sh`);
-
-      console.log(`✅ Tomcat ${previousTomcatVersion} restored and restarted.`);
-    } else {
-      console.warn(`⚠️ No Tomcat backup found for version ${previousTomcatVersion}. Skipping rollback.`);
+    // ✅ Restart Tomcat on the restored versions
+    if (targets.some(({ component }) => component === "java" || definitionFor(component).service)) {
+      logger.info("⚙️ Restarting Tomcat service...");
+      await restartTomcat();
     }
 
-    console.log("✅ Rollback to previous versions completed successfully.");
+    logger.info("✅ Rollback to previous versions completed successfully.");
+    return null;
   } catch (error) {
-    console.error("❌ Rollback failed:", error);
+    logger.error("❌ Rollback failed:", error.message || error);
+    return error;
   }
 }
 
-async function upgradeJava(javaVersion, javaUrl) {
-  const javaDir = `/opt/openjdk-${javaVersion}`;
-  const tempTarFile = `/tmp/java-${javaVersion}.tar.gz`;
-  const javaBackupsDir = `/opt/java_backups`;
-
-  try {
-    await runCommand(`sudo mkdir -p ${javaBackupsDir}`);
-
-    // ✅ Backup current Java version
-    const existingJava = await runCommand(`ls /opt | grep 'openjdk-' | head -n 1`);
-    if (existingJava) {
-      const backupDest = path.join(javaBackupsDir, existingJava);
-      await createBackup(`/opt/${existingJava}`, backupDest);
-      await runCommand(`sudo rm -rf /opt/${existingJava}`);
-    }
-
-    console.log(`🚀 Upgrading Java ${javaVersion} from ${javaUrl}...`);
-    await runCommand(`sudo dnf update && sudo dnf install -y wget`);
-
-    // ✅ Check if Java download succeeds before upgrading
-    try {
-      await runCommand(`sudo wget -q "${javaUrl}" -O "${tempTarFile}"`);
-    } catch (error) {
-      console.error("❌ Java download failed. Rolling back...");
-      const { currentTomcatVersion } = await getCurrentVersions();
-      await rollbackUpgrade(javaVersion, currentTomcatVersion);
-      throw error;
-    }
-
-    await runCommand(`sudo tar -xzf "${tempTarFile}" -C /opt`);
+/**
+ * Runs the Tomcat the upgrade will leave in use — the staged one, or the one
+ * in use on the staged JDK — next to production and gates it (see canary.js).
+ * Only upgrades of Java or Tomcat need it.
+ */
+async function gateTargets(targets) {
+  const java = targets.find(({ component }) => component === "java");
+  const tomcat = targets.find(({ component }) => definitionFor(component).service);
+  if (!java && !tomcat) {
+    return;
+  }
+  const javaVersion = java ? java.dependency.version : currentVersion("java");
+  const tomcatVersion = tomcat ? tomcat.dependency.version : currentVersion("tomcat");
+  await gateStaged({
+    javaHome: java ? paths.componentDir("java", javaVersion) : paths.javaCurrentLink(),
+    tomcatHome: tomcat ? paths.componentDir(tomcat.component, tomcatVersion) : paths.tomcatCurrentLink(),
+    label: `Tomcat ${tomcatVersion || ""} on Java ${javaVersion || ""}`.replace(/ +/g, " "),
+  });
+}
 
-    // ✅ Rename extracted folder
-    const extractedFolder = await runCommand(`ls /opt | grep 'jdk-' | head -n 1`);
-    if (extractedFolder) {
-      await runCommand(`sudo mv /opt/${extractedFolder} ${javaDir}`);
+/**
+ * Swaps the staged versions in and, when Java or Tomcat is among them,
+ * restarts Tomcat on them. Resolves once Tomcat passes the health gate;
+ * otherwise throws and leaves the revert to the caller.
+ */
+async function activate(targets) {
+  const serviceTargets = targets.filter(({ component }) => definitionFor(component).service);
+  for (const { component, dependency } of targets) {
+    if (!definitionFor(component).service) {
+      await switchCurrent(component, dependency.version);
     }
+  }
 
-    await runCommand(`rm -f ${tempTarFile}`);
-
-    // ✅ Update Environment Variables
-    const envCommands = `
-      sudo sed -i '/^export JAVA_HOME=/d' /etc/profile
-      sudo sed -i '/^export PATH=.*JAVA_HOME/d' /etc/profile
-      sudo sed -i '/^JAVA_HOME=/d' /etc/environment
-
-      echo 'export JAVA_HOME=${javaDir}' | sudo tee -a /etc/profile
-      echo 'export PATH=$JAVA_HOME/bin:$PATH' | sudo tee -a /etc/profile
-      echo 'JAVA_HOME=${javaDir}' | sudo tee -a /etc/environment
-    `;
+  // ✅ Update Environment Variables
+  await writeEnvironment();
+  if (!serviceTargets.length && !targets.some(({ component }) => component === "java")) {
+    return;
+  }
 
-    await runCommand(envCommands);
-    await runCommand(`bash -c "source /etc/profile"`);
+  // ✅ Replace per-version units from older releases with the single tomcat.service
+  await removeLegacyTomcatUnits();
+  logger.info("⚙️ Writing Tomcat systemd service...");
+  await writeTomcatUnit();
 
-    console.log(`✅ Java ${javaVersion} upgraded successfully.`);
-    return true; // ✅ Java upgrade successful
-  } catch (error) {
-    console.error(`❌ Java upgrade failed: ${error}`);
-    throw error;
+  // ✅ Switch and restart
+  for (const { component, dependency } of serviceTargets) {
+    await switchCurrent(component, dependency.version);
   }
+  await restartTomcat();
+  await waitForTomcat();
 }
 
-async function upgradeTomcat(tomcatVersion, tomcatUrl, javaVersion) {
-  const tomcatDir = `/opt/tomcat-${tomcatVersion}`;
-  const tempTarFile = `/tmp/tomcat-${tomcatVersion}.tar.gz`;
-  const tomcatBackupsDir = `/opt/tomcat_backups`;
+/**
+ * Builds the ledger change for an upgraded component.
+ */
+function upgradeChange(component, from, dependency, archive, installPath, backup) {
+  return {
+    component,
+    from: from || null,
+    to: dependency.version,
+    path: installPath,
+    url: dependency.packageUrlUnix,
+    sha256: artifactDigest(archive),
+    ...(dependency.build ? { build: dependency.build } : {}),
+    ...(dependency.range ? { range: dependency.range } : {}),
+    backup,
+  };
+}
 
+/**
+ * Upgrades Java, Tomcat and any other component listed to the candidates
+ * selected in the upgrade config; components already on their selected
+ * version are left alone.
+ *
+ * @param {Object<string, string>} [selectors] - e.g. `{ java: "20", tomcat: "latest" }` from the command line.
+ */
+async function upgrade(selectors = {}) {
+  const operation = startOperation("upgrade");
   try {
-    await runCommand(`sudo mkdir -p ${tomcatBackupsDir}`);
-
-    // ✅ Backup current Tomcat version
-    const existingTomcat = await runCommand(
-      `ls /opt | grep 'tomcat-' | head -n 1`
-    );
-    if (existingTomcat) {
-      const backupDest = path.join(tomcatBackupsDir, existingTomcat);
-      await createBackup(`/opt/${existingTomcat}`, backupDest);
-      await runCommand(`sudo rm -rf /opt/${existingTomcat}`);
+    logger.info("🚀 Starting upgrade process...");
+    // ✅ Pick up a newly published manifest, if the config points at one
+    const manifest = await refreshManifest();
+    if (manifest) {
+      operation.manifest = { url: manifest.url, fetchedAt: manifest.fetchedAt };
     }
+    const selection = await readUpgradeConfiguration(selectors);
+
+    // ✅ Look up the exact builds of candidates that name a vendor release or a Tomcat range
+    const candidates = await resolveCandidates(selection);
 
-    console.log(`🚀 Upgrading Tomcat ${tomcatVersion} from ${tomcatUrl}...`);
+    // ✅ Validate if upgrade is needed, and of which components
+    const targets = validateUpgradeConditions(candidates);
+    const java = targets.find(({ component }) => component === "java");
 
-    // ✅ Check if Tomcat download succeeds before upgrading
+    // ✅ Make sure tar, diff3, the account tools and whatever the components need are there on this distribution
+    await ensurePrerequisites({
+      offline: isOffline(),
+      packages: requiredPackages(targets.map(({ component }) => component)),
+    });
+
+    // ✅ Fetch and verify every archive before touching any installation
     try {
-      await runCommand(`sudo wget -q "${tomcatUrl}" -O "${tempTarFile}"`);
+      for (const target of targets) {
+        target.archive = await fetchArtifact(target.component, target.dependency, { mirror: selection.mirror });
+      }
     } catch (error) {
-      console.error("❌ Tomcat download failed. Rolling back...");
-
-      // ✅ Get previous Java version dynamically
-      const { currentJavaVersion, currentTomcatVersion } = await getCurrentVersions();
-      await rollbackUpgrade(currentJavaVersion, currentTomcatVersion);
-      
+      logger.error(`❌ ${error.message || error}`);
+      logger.error("❌ Archive could not be fetched and verified. Existing installation left untouched.");
       throw error;
     }
 
-    await runCommand(`sudo tar -xzf "${tempTarFile}" -C /opt`);
-
-    // ✅ Extracted folder is named `apache-tomcat-11.0.3`. Rename it to `tomcat-11.0.3`
-    const extractedFolder = await runCommand(
-      `ls /opt | grep 'apache-tomcat-' | head -n 1`
-    );
-    if (extractedFolder) {
-      await runCommand(`sudo mv /opt/${extractedFolder} ${tomcatDir}`);
-    }
-
-    await runCommand(`rm -f ${tempTarFile}`);
-
-    // ✅ Ensure the 'tomcat' group and user exist
-    await ensureTomcatUserAndGroup();
-
-    // ✅ Set correct ownership and permissions
-    await runCommand(`sudo chown -R tomcat:tomcat ${tomcatDir}`);
-    await runCommand(`sudo chmod -R 755 ${tomcatDir}`);
-    await runCommand(`sudo chmod -R +x ${tomcatDir}/bin/*.sh`);
-
-    // ✅ Create new Tomcat systemd service
-    const serviceFilePath = `/etc/systemd/system/tomcat-${tomcatVersion}.service`;
-    const serviceFileContent = `
-[Unit]
-Description=Apache Tomcat ${tomcatVersion}
-After=network.target
-
-[Service]
-User=tomcat
-Group=tomcat
-Environment="JAVA_HOME=/opt/openjdk-${javaVersion}"
-Environment="CATALINA_HOME=${tomcatDir}"
-ExecStart=${tomcatDir}/bin/catalina.sh run
-ExecStop=${tomcatDir}/bin/shutdown.sh
-Restart=always
-
-[Install]
-WantedBy=multi-user.target
-`;
-
-    console.log("⚙️ Creating Tomcat systemd service...");
-    await runCommand(
-      `echo '${serviceFileContent}' | sudo tee ${serviceFilePath}`
-    );
-    await runCommand(`sudo chmod 644 ${serviceFilePath}`);
-    await runCommand(`sudo chown root:root ${serviceFilePath}`);
-
-    // ✅ Ensure the 'tomcat' group and user exist (redundant check for safety)
-    await ensureTomcatUserAndGroup();
-
-    // ✅ Set ownership and permissions again (redundant for safety)
-    await runCommand(`sudo chown -R tomcat:tomcat /opt/tomcat-${tomcatVersion}/`);
-    await runCommand(`sudo chmod -R 755 /opt/tomcat-${tomcatVersion}/`);
-    await runCommand(`sudo chmod -R +x /opt/tomcat-${tomcatVersion}/bin/*.sh`);
-
-    // ✅ Restart Tomcat
-    await runCommand(`sudo /opt/tomcat-${tomcatVersion}/bin/shutdown.sh`);
-    await runCommand(`sudo /opt/tomcat-${tomcatVersion}/bin/startup.sh`);
-
-    console.log(`✅ Tomcat ${tomcatVersion} upgraded successfully.`);
-
-    // ✅ DELETE OLD TOMCAT SERVICE FILE
-    console.log("🗑️ Checking for old Tomcat service files...");
-    const oldServices = await runCommand(
-      `ls /etc/systemd/system | grep 'tomcat-' | grep -v 'tomcat-${tomcatVersion}' || true`
-    );
-
-    if (oldServices) {
-      const oldServiceList = oldServices.split("\n");
-      for (const oldService of oldServiceList) {
-        console.log(
-          `🗑️ Removing old Tomcat service file: /etc/systemd/system/${oldService}`
-        );
-        await runCommand(`sudo rm -f /etc/systemd/system/${oldService}`);
+    try {
+      // ✅ Stage them next to the running versions, checked with the JDK they will run on
+      for (const { component, dependency, current, archive } of targets) {
+        const installPath = paths.componentDir(component, dependency.version);
+        const { backup, report } = await stageUpgrade(component, dependency.version, archive, current, {
+          javaHome: java ? paths.componentDir("java", java.dependency.version) : undefined,
+        });
+        operation.changes.push({
+          ...upgradeChange(component, current, dependency, archive, installPath, backup),
+          ...(report ? { report } : {}),
+        });
       }
-      await runCommand(`sudo systemctl daemon-reload`);
-    }
-  } catch (error) {
-    console.error(`❌ Tomcat upgrade failed: ${error}`);
-    throw error;
-  }
-}
 
-async function upgrade() {
-  try {
-    console.log("🚀 Starting upgrade process...");
-    const { javaVersion, javaUrl, tomcatVersion, tomcatUrl } = await readUpgradeConfiguration();
-    const { currentJavaVersion, currentTomcatVersion } = await getCurrentVersions();
-
-    // ✅ Validate if upgrade is needed
-    await validateUpgradeConditions(javaVersion, tomcatVersion);
-
-    // ✅ Attempt Java upgrade
-    let javaUpgraded = false;
-    try {
-      javaUpgraded = await upgradeJava(javaVersion, javaUrl);
+      // ✅ Start them next to production and gate them before anything in use is switched
+      await gateTargets(targets);
     } catch (error) {
-      console.error("❌ Java upgrade failed. Aborting process.");
-      return; // Stop if Java upgrade fails
+      // Nothing was switched, so none of the staged versions is in effect
+      for (const change of operation.changes) {
+        change.reverted = true;
+      }
+      logger.error("❌ The staged versions did not pass their checks. Existing installation left untouched.");
+      throw error;
     }
 
-    // ✅ Attempt Tomcat upgrade
+    // ✅ Swap them in and keep them only if Tomcat comes up healthy
     try {
-      await upgradeTomcat(tomcatVersion, tomcatUrl, javaVersion);
-	    await runCommand(`sudo systemctl daemon-reload`);
-      console.log("✅ Upgrade completed successfully.");
+      await activate(targets);
     } catch (error) {
-      console.error("❌ Tomcat upgrade failed. Rolling back...");
-      
-      // ✅ Rollback Java if it was upgraded but Tomcat failed
-      if (javaUpgraded) {
-        console.log(`🔄 Rolling back Java ${javaVersion} to ${currentJavaVersion} since Tomcat failed...`);
-        await rollbackUpgrade(currentJavaVersion, currentTomcatVersion);
+      logger.error(`❌ ${error.message || error}`);
+      const previous = targets.map(({ component, current }) => `${definitionFor(component).label} ${current || "(none)"}`);
+      logger.error(`🔄 Reverting to ${previous.join(", ")}...`);
+      const revertError = await rollbackUpgrade(targets);
+      for (const change of operation.changes) {
+        change.reverted = !revertError;
+      }
+      if (revertError) {
+        // The host is somewhere between the old and the new versions; the failure summary has to say so
+        error.details = {
+          ...error.details,
+          revert: { status: "failed", message: revertError.message || String(revertError) },
+        };
       }
-
       throw error;
     }
+
+    await recordOperation(operation, "success");
+    logger.info("✅ Upgrade completed successfully.");
+
+    // ✅ Apply the backup retention policy now that the new versions are in place
+    await pruneBackups();
   } catch (error) {
-    console.error("❌ Upgrade process failed:", error);
+    if (error instanceof AlreadyUpToDateError) {
+      // Nothing was attempted, so there is nothing to put in the history either
+      logger.info(`✅ ${error.message}`);
+      throw error;
+    }
+    logger.error("❌ Upgrade process failed:", error.message || error);
+    await recordOperation(operation, "failed", error);
+    throw error;
   }
 }
 
-module.exports = { upgrade };
\ No newline at end of file
+module.exports = { upgrade: withJournal("upgrade", upgrade), getCurrentVersions, resolveCandidates };
\ No newline at end of file
@@ -0,0 +1,186 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { fileURLToPath } = require("url");
+const { fetchContent } = require("./download");
+const { isDryRun, recordStep, runCommand } = require("./executor");
+const logger = require("./logger");
+const { ChecksumError, DownloadError } = require("./errors");
+
+const SUPPORTED_ALGORITHMS = ["sha256", "sha512"];
+
+/**
+ * Computes the hex digest of a file without loading it into memory.
+ *
+ * @param {string} filePath - The file to hash.
+ * @param {string} algorithm - "sha256" or "sha512".
+ * @returns {Promise<string>} - The lowercase hex digest.
+ */
+function hashFile(filePath, algorithm) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+/**
+ * Picks the digest for `archiveName` out of a checksum file. Accepts the
+ * `sha256sum`/`sha512sum` format (`<hash>  <file>` or `<hash> *<file>`) as well
+ * as files containing nothing but the bare hash. A file naming archives has
+ * to name this one; `null` otherwise.
+ */
+function parseChecksumFile(content, archiveName) {
+  const entries = content
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [hash, file] = line.split(/\s+\*?/);
+      return { hash: hash.toLowerCase(), file: file ? path.basename(file) : null };
+    })
+    .filter((entry) => /^[0-9a-f]+$/.test(entry.hash));
+
+  const bare = entries.length === 1 && !entries[0].file ? entries[0] : null;
+  const match = entries.find((entry) => entry.file === archiveName) || bare;
+  return match ? match.hash : null;
+}
+
+function algorithmForDigest(digest) {
+  if (digest.length === 64) return "sha256";
+  if (digest.length === 128) return "sha512";
+  return null;
+}
+
+/**
+ * Works out which digest the archive must match, from the `sha512`, `sha256`
+ * or `checksumUrl` keys of a dependency in the mavee config.
+ *
+ * @param {object} dependency - The `mave.dependencies.<name>` config entry.
+ * @param {string} archiveName - The file name of the archive being verified.
+ * @returns {Promise<{ algorithm: string, digest: string } | null>} - `null` when no checksum is configured.
+ */
+async function resolveExpectedChecksum(dependency, archiveName) {
+  if (dependency.sha512) {
+    return { algorithm: "sha512", digest: dependency.sha512.toLowerCase() };
+  }
+  if (dependency.sha256) {
+    return { algorithm: "sha256", digest: dependency.sha256.toLowerCase() };
+  }
+  if (!dependency.checksumUrl) {
+    return null;
+  }
+
+  const content = (await readUrl(dependency.checksumUrl)).toString("utf-8");
+  const digest = parseChecksumFile(content, archiveName);
+  if (!digest) {
+    throw new ChecksumError(`🚨 No checksum for ${archiveName} found in ${dependency.checksumUrl}`);
+  }
+
+  const algorithm = dependency.checksumAlgorithm || algorithmForDigest(digest);
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new ChecksumError(`🚨 Unsupported checksum in ${dependency.checksumUrl}: ${digest}`);
+  }
+  return { algorithm, digest };
+}
+
+/**
+ * Reads verification material from an http(s) or `file://` URL, the latter
+ * so checksums and signatures can sit next to archives in a local mirror.
+ */
+async function readUrl(url) {
+  if (url.startsWith("file://")) {
+    return fs.readFileSync(fileURLToPath(url));
+  }
+  return fetchContent(url);
+}
+
+async function downloadTo(url, destination) {
+  fs.writeFileSync(destination, await readUrl(url));
+}
+
+function runGpg(args) {
+  return runCommand(`gpg --batch ${args}`, { readOnly: true });
+}
+
+/**
+ * Checks the detached GPG signature configured as `signatureUrl`. When
+ * `gpgKeyUrl` is set the keys are imported into a throwaway keyring so the
+ * signature is only accepted from those keys; otherwise the caller's default
+ * keyring is used.
+ */
+async function verifySignature(filePath, dependency) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "java-manager-gpg-"));
+  try {
+    const signaturePath = path.join(workDir, "archive.sig");
+    await downloadTo(dependency.signatureUrl, signaturePath);
+
+    let keyringArgs = "";
+    if (dependency.gpgKeyUrl) {
+      const keysPath = path.join(workDir, "KEYS");
+      const keyringPath = path.join(workDir, "keyring.gpg");
+      await downloadTo(dependency.gpgKeyUrl, keysPath);
+      keyringArgs = `--no-default-keyring --keyring "${keyringPath}"`;
+      await runGpg(`${keyringArgs} --import "${keysPath}"`);
+    }
+
+    await runGpg(`${keyringArgs} --verify "${signaturePath}" "${filePath}"`);
+  } catch (error) {
+    if (error instanceof DownloadError) {
+      throw error;
+    }
+    throw new ChecksumError(`🚨 GPG signature verification failed for ${filePath}: ${error.message || error}`, {
+      cause: error,
+    });
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Verifies a downloaded archive against the checksum and optional detached
+ * signature configured for its dependency. Throws if anything does not match,
+ * or if there is no checksum and the candidate does not set `allowUnverified`,
+ * so callers must run it before touching any existing installation.
+ *
+ * @param {string} filePath - The downloaded archive.
+ * @param {object} dependency - The `mave.dependencies.<name>` config entry.
+ * @param {string} label - Human readable name used in log messages, e.g. "Java 18".
+ * @returns {Promise<void>}
+ * @throws {ChecksumError}
+ */
+async function verifyArchive(filePath, dependency, label) {
+  if (isDryRun()) {
+    recordStep("verify", `Verify ${label} archive ${filePath} against configured checksum/signature`);
+    return;
+  }
+
+  const archiveName = path.basename(new URL(dependency.packageUrlUnix).pathname);
+  const expected = await resolveExpectedChecksum(dependency, archiveName);
+
+  if (expected) {
+    const actual = await hashFile(filePath, expected.algorithm);
+    if (actual !== expected.digest) {
+      throw new ChecksumError(
+        `🚨 ${expected.algorithm} mismatch for ${label}: expected ${expected.digest}, got ${actual}`
+      );
+    }
+    logger.info(`🔒 ${label} ${expected.algorithm} checksum verified.`);
+  } else if (dependency.allowUnverified) {
+    logger.warn(`⚠️ No checksum configured for ${label}; installing it unverified (allowUnverified is set).`);
+  } else {
+    throw new ChecksumError(
+      `🚨 No checksum configured for ${label}; set sha256, sha512 or checksumUrl, or allowUnverified: true to install it unverified.`
+    );
+  }
+
+  if (dependency.signatureUrl) {
+    await verifySignature(filePath, dependency);
+    logger.info(`🔏 ${label} GPG signature verified.`);
+  }
+}
+
+module.exports = { verifyArchive, hashFile, parseChecksumFile };
@@ -0,0 +1,163 @@
+const fs = require("fs");
+const path = require("path");
+const { runCommand } = require("./executor");
+const paths = require("./paths");
+const { restartTomcat, tomcatUnitPath } = require("./service");
+const { startOperation, recordOperation, recordedOrigin } = require("./state");
+const logger = require("./logger");
+const { definitionFor, componentNames, directoryPattern } = require("./components");
+const { ConfigError } = require("./errors");
+
+/**
+ * Side-by-side installations. Every version keeps its own directory
+ * (`<prefix>/openjdk-<version>`, `<prefix>/tomcat-<version>`, ... as the
+ * component definition says) and the `<prefix>/<link>/current` links select
+ * the one in use, so switching never reinstalls anything.
+ */
+function componentInfo(component) {
+  const definition = definitionFor(component);
+  return {
+    label: definition.label,
+    directory: (version) => paths.componentDir(component, version),
+    link: () => paths.currentLink(component),
+    pattern: directoryPattern(definition),
+    service: definition.service,
+  };
+}
+
+/**
+ * Orders dotted version strings numerically ("9.0.100" after "9.0.99").
+ */
+function compareVersions(a, b) {
+  const left = a.split(/[^0-9]+/).filter(Boolean).map(Number);
+  const right = b.split(/[^0-9]+/).filter(Boolean).map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference) return difference;
+  }
+  return a.localeCompare(b);
+}
+
+/**
+ * Versions of `component` present in the install prefix, oldest first.
+ *
+ * @param {"java"|"tomcat"} component
+ * @returns {string[]}
+ */
+function listVersions(component) {
+  const { pattern } = componentInfo(component);
+  const prefix = paths.installPrefix();
+  if (!fs.existsSync(prefix)) {
+    return [];
+  }
+  return fs
+    .readdirSync(prefix, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && pattern.test(entry.name))
+    .map((entry) => entry.name.match(pattern)[1])
+    .sort(compareVersions);
+}
+
+/**
+ * The version the `current` link points at, or `null` when there is none.
+ */
+function currentVersion(component) {
+  const { link, pattern } = componentInfo(component);
+  try {
+    const match = path.basename(fs.readlinkSync(link())).match(pattern);
+    return match ? match[1] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Points the `current` link at `version` by renaming a new link over the old
+ * one, so nothing ever sees a missing or half-written link.
+ */
+async function switchCurrent(component, version) {
+  const { label, directory, link } = componentInfo(component);
+  const target = directory(version);
+  const linkPath = link();
+
+  logger.info(`🔗 Switching ${label} to ${version}: ${linkPath} -> ${target}`);
+  await runCommand(`sudo mkdir -p ${path.dirname(linkPath)}`);
+  await runCommand(`sudo ln -sfn ${target} ${linkPath}.next && sudo mv -T ${linkPath}.next ${linkPath}`, {
+    description: `Point ${linkPath} at ${target}`,
+  });
+}
+
+/**
+ * `java-manager use <component> <version>`: makes an installed version the
+ * current one and, for Java and Tomcat, restarts Tomcat so it picks up the switch.
+ */
+async function use(component, version) {
+  const info = componentInfo(component);
+  const { label, directory } = info;
+  const installed = listVersions(component);
+  if (!installed.includes(version)) {
+    throw new ConfigError(
+      `🚨 ${label} ${version} is not installed in ${paths.installPrefix()} (installed: ${installed.join(", ") || "none"}).`
+    );
+  }
+
+  const previous = currentVersion(component);
+  if (previous === version) {
+    logger.info(`✅ ${label} ${version} is already in use.`);
+    return;
+  }
+
+  const operation = startOperation("use");
+  try {
+    await switchCurrent(component, version);
+    operation.changes.push({
+      component,
+      from: previous,
+      to: version,
+      path: directory(version),
+      ...recordedOrigin(component, version),
+      backup: null,
+    });
+    // Tomcat runs on the current JDK, the other tools are only picked up by new shells
+    if ((info.service || component === "java") && fs.existsSync(tomcatUnitPath())) {
+      await restartTomcat();
+    }
+    await recordOperation(operation, "success");
+    logger.info(`✅ Now using ${label} ${version}.`);
+  } catch (error) {
+    await recordOperation(operation, "failed", error);
+    throw error;
+  }
+}
+
+/**
+ * `java-manager list`: installed versions per component, current one marked.
+ * Optional components (Maven, Gradle, ...) are only listed once installed.
+ *
+ * @param {{ json?: boolean }} [options]
+ */
+async function list(options = {}) {
+  const result = componentNames()
+    .map((component) => ({
+      component,
+      current: currentVersion(component),
+      versions: listVersions(component),
+    }))
+    .filter(({ component, versions }) => definitionFor(component).required || versions.length);
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    return;
+  }
+
+  for (const { component, current, versions } of result) {
+    console.log(`${componentInfo(component).label}:`);
+    if (!versions.length) {
+      console.log("   (none installed)");
+    }
+    for (const version of versions) {
+      console.log(`   ${version === current ? "*" : " "} ${version}`);
+    }
+  }
+}
+
+module.exports = { compareVersions, listVersions, currentVersion, switchCurrent, use, list };